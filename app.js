@@ -19,6 +19,11 @@ import {
   parseAddress, 
   RESOLUTION_STATE, 
   PULSE_TYPE,
+  ESCROW_STATUS,
+  ESCROW_CONDITION,
+  SUBSCRIPTION_STATUS,
+  parseAssetAmount,
+  formatAssetAmount,
   timeString 
 } from './kernel.js';
 
@@ -115,8 +120,14 @@ function renderAddressIndex(filter = 'all') {
     return;
   }
   
+  // Content-addressed entries can be pinned against garbage collection
+  const pinnable = new Set(xheKernel.getSchemes()
+    .filter(scheme => scheme.contentAddressed)
+    .map(scheme => scheme.name));
+
   entries.forEach(entry => {
     const schemeClass = entry.type === 'did:xhe' ? 'did' : entry.type;
+    const pinned = xheKernel.isPinned(entry.address);
     
     const entryEl = createElement('div', {
       className: 'book-entry',
@@ -130,18 +141,122 @@ function renderAddressIndex(filter = 'all') {
         [truncateAddress(entry.address)]),
       createElement('span', { className: 'entry-preview' }, [entry.preview || '—']),
       createElement('span', { className: 'entry-time' }, 
-        [new Date(entry.timestamp).toLocaleString()])
+        [new Date(entry.timestamp).toLocaleString()]),
+      pinnable.has(entry.type) && createElement('button', {
+        className: `btn-copy entry-pin${pinned ? ' pinned' : ''}`,
+        dataset: { testid: 'pin-btn' },
+        title: pinned ? 'Unpin' : 'Pin (kept by garbage collection)',
+        onClick: (event) => {
+          event.stopPropagation();
+          handleTogglePin(entry.address);
+        }
+      }, [pinned ? '◆' : '◇'])
     ]);
     
     container.appendChild(entryEl);
   });
 }
 
+// ============================================
+// NAME RENDERING (Mutable Pointers)
+// ============================================
+
+function renderNames() {
+  const container = $('#name-list');
+  if (!container) return;
+
+  container.innerHTML = '';
+
+  xheKernel.getNames().forEach(name => {
+    // One chip per version; each pins that version in the resolver
+    const versions = xheKernel.getNameHistory(name.address).map(version =>
+      createElement('span', {
+        className: 'name-version',
+        title: version.target,
+        onClick: (event) => {
+          event.stopPropagation();
+          $('#resolve-input').value = version.address;
+          showToast(`Version ${version.version} copied to resolver`, 'info');
+        }
+      }, [`v${version.version}`])
+    );
+
+    container.appendChild(createElement('div', {
+      className: 'book-entry',
+      dataset: { testid: 'name-entry', address: name.address },
+      onClick: () => {
+        $('#resolve-input').value = name.address;
+        showToast('Name copied to resolver', 'info');
+      }
+    }, [
+      createElement('code', { className: 'entry-address name' }, [truncateAddress(name.address)]),
+      createElement('div', { className: 'name-versions' }, versions)
+    ]));
+  });
+}
+
 function truncateAddress(address) {
   if (address.length <= 50) return address;
   return `${address.slice(0, 30)}...${address.slice(-12)}`;
 }
 
+// ============================================
+// SCHEME REGISTRY RENDERING
+// ============================================
+
+function renderSchemes() {
+  // Generator options, index filters, scheme list and routing rules all
+  // follow the kernel's registry, so new schemes show up without UI edits
+  const schemes = xheKernel.getSchemes();
+  const generators = schemes.filter(scheme => scheme.generates);
+
+  const nsSelect = $('#namespace-select');
+  if (nsSelect) {
+    const selected = nsSelect.value || 'xhe';
+    nsSelect.innerHTML = '';
+    generators.forEach(scheme => {
+      nsSelect.appendChild(createElement('option', { value: scheme.name },
+        [`${scheme.prefix} — ${scheme.label} Address`]));
+    });
+    if (generators.some(scheme => scheme.name === selected)) nsSelect.value = selected;
+  }
+
+  const filters = $('.book-filters');
+  if (filters) {
+    const active = getCurrentFilter();
+    filters.querySelectorAll('.filter-btn:not([data-filter="all"])').forEach(btn => btn.remove());
+    generators.forEach(scheme => {
+      filters.appendChild(createElement('button', {
+        className: `filter-btn${active === scheme.name ? ' active' : ''}`,
+        dataset: { filter: scheme.name, testid: `filter-${scheme.name.split(':')[0]}` }
+      }, [scheme.prefix]));
+    });
+  }
+
+  const schemeList = $('#scheme-list');
+  if (schemeList) {
+    schemeList.innerHTML = '';
+    schemes.forEach(scheme => {
+      schemeList.appendChild(createElement('li', {}, [
+        createElement('code', {}, [scheme.prefix]),
+        createElement('span', {}, [scheme.description || scheme.label])
+      ]));
+    });
+  }
+
+  const rules = $('#scheme-rules');
+  if (rules) {
+    rules.innerHTML = '';
+    schemes.forEach(scheme => {
+      rules.appendChild(createElement('div', { className: 'rule-item active' }, [
+        createElement('span', { className: 'rule-from' }, [scheme.label]),
+        createElement('span', { className: 'rule-arrow' }, ['→']),
+        createElement('span', { className: 'rule-to' }, [scheme.prefix])
+      ]));
+    });
+  }
+}
+
 // ============================================
 // IDENTITY & STATS RENDERING
 // ============================================
@@ -159,6 +274,35 @@ function updateIdentityPanel() {
   if (pulseEl) pulseEl.textContent = stats.pulseCount;
   if (addressEl) addressEl.textContent = stats.addressCount;
   if (balanceEl) balanceEl.textContent = stats.slipBalance;
+  
+  updateStorageUsage();
+}
+
+async function updateStorageUsage() {
+  const usageEl = $('#storage-usage');
+  if (!usageEl) return;
+  
+  // Called without awaiting from many places, so failures end here
+  try {
+    const usage = await xheKernel.getStorageUsage();
+    const quota = usage.quota ? ` / ${formatBytes(usage.quota)}` : '';
+    const percent = usage.percentUsed !== null ? ` (${Math.round(usage.percentUsed * 100)}%)` : '';
+    
+    usageEl.textContent = `${formatBytes(usage.totalBytes)}${quota}${percent}`;
+    usageEl.title = Object.entries(usage.stores)
+      .map(([store, { records, bytes }]) => `${store}: ${records} records, ${formatBytes(bytes)}`)
+      .join('\n');
+    usageEl.classList.toggle('near-quota', usage.nearQuota);
+  } catch (error) {
+    usageEl.textContent = 'unavailable';
+    appendToConsole('error', `Storage usage unavailable: ${error.message}`);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 // ============================================
@@ -169,7 +313,7 @@ function renderFeed() {
   const container = $('#feed-entries');
   if (!container) return;
   
-  const posts = xheKernel.getGlobalFeed(20);
+  const posts = feedMode === 'following' ? xheKernel.getFollowingFeed(20) : xheKernel.getGlobalFeed(20);
   
   container.innerHTML = '';
   
@@ -183,25 +327,204 @@ function renderFeed() {
     return;
   }
   
-  posts.forEach(post => {
-    const postEl = createElement('div', {
-      className: 'feed-post',
-      dataset: { testid: 'feed-post', hash: post.hash }
+  // Replies are drawn under their parent when it is in view, else lead
+  // their own part of the thread
+  const shown = new Set(posts.map(post => post.id));
+  posts
+    .filter(post => !post.replyTo || !shown.has(post.replyTo))
+    .forEach(post => container.appendChild(renderThread(findThreadNode(xheKernel.getThread(post.id), post.id))));
+}
+
+function findThreadNode(node, postId) {
+  if (node.post.id === postId) return node;
+  return node.replies.map(reply => findThreadNode(reply, postId)).find(Boolean) || null;
+}
+
+// Which feed the Feed tab shows: 'all' or 'following'
+let feedMode = 'all';
+
+function handleFeedModeChange(event) {
+  const btn = event.target;
+  if (!btn.classList.contains('filter-btn')) return;
+  
+  $$('.feed-filters .filter-btn').forEach(b => b.classList.toggle('active', b === btn));
+  feedMode = btn.dataset.feed;
+  renderFeed();
+}
+
+function renderThread({ post, replies }) {
+  return createElement('div', { className: 'post-thread' }, [
+    renderPost(post),
+    replies.length > 0 ? createElement('div', { className: 'post-replies' }, replies.map(renderThread)) : null
+  ]);
+}
+
+function renderPost(post) {
+  // Deleted posts keep their place in a thread, content hidden
+  if (post.deletedAt) {
+    return createElement('div', {
+      className: 'feed-post deleted',
+      dataset: { testid: 'feed-post', id: post.id }
     }, [
-      createElement('div', { className: 'post-header' }, [
-        createElement('code', { className: 'post-author' }, 
-          [post.author.slice(0, 20) + '...']),
-        createElement('span', { className: 'post-time' }, 
-          [new Date(post.timestamp).toLocaleTimeString()])
-      ]),
-      createElement('p', { className: 'post-content' }, [post.content]),
-      createElement('div', { className: 'post-footer' }, [
-        createElement('code', { className: 'post-address' }, 
-          [truncateAddress(post.address)])
-      ])
+      createElement('span', { className: 'post-time' }, ['[deleted]']),
+      createElement('code', { className: 'post-address', title: 'Tombstone' }, [truncateAddress(post.tombstone)])
     ]);
-    
-    container.appendChild(postEl);
+  }
+  
+  const original = post.repostOf ? xheKernel.getPost(post.repostOf) : null;
+  const isOwn = post.author === xheKernel.getDID();
+  // A repost's own content is its comment; a plain repost has none and
+  // shows only the original
+  const comment = post.content;
+  
+  return createElement('div', {
+    className: `feed-post${post.repostOf ? ' repost' : ''}`,
+    dataset: { testid: 'feed-post', id: post.id, ...(post.hash && { hash: post.hash }) }
+  }, [
+    createElement('div', { className: 'post-header' }, [
+      createElement('code', { className: 'post-author' }, 
+        [`${post.repostOf ? '↻ ' : ''}${post.author.slice(0, 20)}...`]),
+      post.editedAt ? createElement('button', {
+        className: 'post-edited',
+        dataset: { testid: 'post-edited' },
+        title: 'Show edit history',
+        onClick: (e) => togglePostHistory(e.target.closest('.feed-post'), post.id)
+      }, ['edited']) : null,
+      createElement('span', { className: 'post-time' }, 
+        [new Date(post.timestamp).toLocaleTimeString()])
+    ]),
+    comment ? createElement('p', { className: 'post-content' }, [comment]) : null,
+    post.repostOf ? createElement('div', { className: 'post-embed', dataset: { testid: 'repost-original' } }, original && !original.deletedAt ? [
+      createElement('code', { className: 'post-author' }, [original.author.slice(0, 20) + '...']),
+      createElement('p', { className: 'post-content' }, [original.content])
+    ] : [createElement('span', { className: 'post-time' }, 
+      [original ? 'Original post deleted' : 'Original post unavailable'])]) : null,
+    createElement('div', { className: 'post-footer' }, [
+      post.address ? createElement('code', { className: 'post-address' }, 
+        [truncateAddress(post.address)]) : null,
+      createElement('button', {
+        className: 'btn-copy post-action',
+        dataset: { testid: 'reply-btn' },
+        title: 'Reply',
+        onClick: () => setReplyTarget(post)
+      }, [`↩ ${post.replyCount}`]),
+      createElement('button', {
+        className: 'btn-copy post-action',
+        dataset: { testid: 'repost-btn' },
+        title: 'Repost',
+        onClick: () => handleRepost(post)
+      }, [`↻ ${post.repostCount}`]),
+      isOwn ? createElement('button', {
+        className: 'btn-copy post-action',
+        dataset: { testid: 'edit-post-btn' },
+        title: 'Edit',
+        onClick: () => handleEditPost(post)
+      }, ['✎']) : null,
+      isOwn ? createElement('button', {
+        className: 'btn-copy post-action',
+        dataset: { testid: 'delete-post-btn' },
+        title: 'Delete',
+        onClick: () => handleDeletePost(post)
+      }, ['✕']) : null
+    ])
+  ]);
+}
+
+function togglePostHistory(postEl, postId) {
+  const existing = postEl.querySelector('.post-history');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  
+  postEl.appendChild(createElement('ol', { className: 'post-history', dataset: { testid: 'post-history' } },
+    xheKernel.getPostHistory(postId).map(version => createElement('li', {}, [
+      createElement('span', { className: 'post-time' }, 
+        [`v${version.version} · ${new Date(version.timestamp).toLocaleTimeString()}`]),
+      createElement('p', { className: 'post-content' }, [version.content ?? '(content purged)'])
+    ]))));
+}
+
+// Post the composer is replying to (null: a new top-level post)
+let replyTarget = null;
+
+function setReplyTarget(post) {
+  replyTarget = post;
+  const indicator = $('#reply-indicator');
+  if (!indicator) return;
+  
+  indicator.innerHTML = '';
+  indicator.hidden = !post;
+  if (!post) return;
+  
+  indicator.append(
+    createElement('span', {}, [`Replying to ${post.author.slice(0, 16)}...${post.content ? `: ${post.content.slice(0, 40)}` : ''}`]),
+    createElement('button', {
+      className: 'btn-copy',
+      title: 'Cancel reply',
+      onClick: () => setReplyTarget(null)
+    }, ['✕'])
+  );
+  $('#post-input')?.focus();
+}
+
+// ============================================
+// SOCIAL GRAPH RENDERING
+// ============================================
+
+function renderSocialGraph() {
+  const { following, followers, blocked } = xheKernel.getSocialGraph();
+  
+  const followingCount = $('#following-count');
+  const followersCount = $('#followers-count');
+  if (followingCount) followingCount.textContent = following.length;
+  if (followersCount) followersCount.textContent = followers.length;
+  
+  renderDidList('#following-list', following, 'No one followed yet.', did => [
+    createElement('button', {
+      className: 'btn-copy',
+      dataset: { testid: 'unfollow-btn' },
+      title: 'Unfollow',
+      onClick: () => runSocialAction(() => xheKernel.unfollow(did), 'Unfollowed')
+    }, ['✕']),
+    createElement('button', {
+      className: 'btn-copy',
+      dataset: { testid: 'block-btn' },
+      title: 'Block',
+      onClick: () => runSocialAction(() => xheKernel.block(did), 'Blocked')
+    }, ['⊘'])
+  ]);
+  
+  renderDidList('#blocked-list', blocked, 'No one blocked.', did => [
+    createElement('button', {
+      className: 'btn-copy',
+      dataset: { testid: 'unblock-btn' },
+      title: 'Unblock',
+      onClick: () => runSocialAction(() => xheKernel.unblock(did), 'Unblocked')
+    }, ['↺'])
+  ]);
+}
+
+function renderDidList(selector, dids, emptyText, actions) {
+  const container = $(selector);
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  if (dids.length === 0) {
+    container.innerHTML = `<div class="empty-state"><span>${emptyText}</span></div>`;
+    return;
+  }
+  
+  dids.forEach(did => {
+    container.appendChild(createElement('div', {
+      className: 'did-entry',
+      dataset: { testid: 'did-entry', did },
+      title: did
+    }, [
+      createElement('code', { className: 'post-author' }, [did.slice(0, 24) + '...']),
+      ...actions(did)
+    ]));
   });
 }
 
@@ -230,7 +553,7 @@ function renderChannels() {
     }, [
       createElement('span', { className: 'channel-name' }, [`# ${channel.name}`]),
       createElement('span', { className: 'channel-count' }, 
-        [`${channel.posts.length} posts`])
+        [`${xheKernel.getChannelPosts(channel.id).length} posts`])
     ]);
     
     container.appendChild(chEl);
@@ -248,11 +571,11 @@ function selectChannel(channelId) {
   if (header) header.textContent = `# ${channel.name}`;
   if (posts) {
     posts.innerHTML = '';
-    channel.posts.forEach(post => {
+    xheKernel.getChannelPosts(channelId).forEach(post => {
       const postEl = createElement('div', { className: 'channel-post' }, [
         createElement('p', {}, [post.content]),
         createElement('span', { className: 'post-time' }, 
-          [new Date(post.timestamp).toLocaleTimeString()])
+          [`${new Date(post.timestamp).toLocaleTimeString()}${post.editedAt ? ' · edited' : ''}`])
       ]);
       posts.appendChild(postEl);
     });
@@ -281,21 +604,128 @@ function renderSlipHistory() {
   
   history.forEach(tx => {
     const isIncoming = tx.to === xheKernel.getDID();
+    // A release pays out slips the lock already took from the balance
+    const sign = tx.type === 'ESCROW_RELEASE' ? '' : isIncoming ? '+' : '-';
     const txEl = createElement('div', {
       className: `slip-tx ${isIncoming ? 'incoming' : 'outgoing'}`,
       dataset: { testid: 'slip-tx' }
     }, [
       createElement('span', { className: 'tx-type' }, [tx.type]),
       createElement('span', { className: 'tx-amount' }, 
-        [`${isIncoming ? '+' : '-'}${tx.amount}`]),
+        [`${sign}${formatAmount(tx.amount, tx.asset)}`]),
       createElement('span', { className: 'tx-time' }, 
-        [new Date(tx.timestamp).toLocaleTimeString()])
+        [new Date(tx.timestamp).toLocaleTimeString()]),
+      tx.note && !isIncoming ? createElement('button', {
+        className: 'btn-copy tx-export',
+        dataset: { testid: 'export-note-btn' },
+        title: 'Export slip note for the recipient',
+        onClick: () => handleExportSlipNote(tx.id)
+      }, ['⇪']) : null
     ]);
     
     container.appendChild(txEl);
   });
 }
 
+// Amounts are kept in each asset's smallest unit; these convert for display
+function formatAmount(units, assetId) {
+  const asset = xheKernel.getAsset(assetId) || { symbol: assetId, decimals: 0 };
+  return `${formatAssetAmount(units, asset.decimals)} ${asset.symbol}`;
+}
+
+function readAmount(inputSelector, assetSelector) {
+  const asset = xheKernel.getAsset($(assetSelector)?.value);
+  const units = asset ? parseAssetAmount($(inputSelector)?.value || '', asset.decimals) : null;
+  return units ? { asset, units } : null;
+}
+
+function renderAssetOptions() {
+  // Every asset select follows the kernel's asset list
+  const assets = xheKernel.getAssets();
+  $$('.asset-select').forEach(select => {
+    const current = select.value;
+    select.innerHTML = '';
+    assets.forEach(asset => {
+      select.appendChild(createElement('option', { value: asset.id, title: asset.address }, [asset.symbol]));
+    });
+    if (assets.some(asset => asset.id === current)) select.value = current;
+  });
+}
+
+function renderEscrows() {
+  const container = $('#escrow-list');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  xheKernel.getEscrows(ESCROW_STATUS.LOCKED).forEach(escrow => {
+    const condition = escrow.condition.type === ESCROW_CONDITION.HASHLOCK
+      ? `hashlock ${escrow.condition.hash.slice(0, 8)}...`
+      : `on ${escrow.condition.pulseType}`;
+    
+    container.appendChild(createElement('div', {
+      className: 'slip-tx outgoing',
+      dataset: { testid: 'escrow-entry' },
+      title: `To ${escrow.to}, ${condition}`
+    }, [
+      createElement('span', { className: 'tx-type' }, [condition]),
+      createElement('span', { className: 'tx-amount' }, [String(escrow.amount)]),
+      createElement('span', { className: 'tx-time' },
+        [`until ${new Date(escrow.expiresAt).toLocaleString()}`]),
+      createElement('button', {
+        className: 'btn-copy tx-export',
+        dataset: { testid: 'release-escrow-btn' },
+        title: 'Release to recipient',
+        onClick: () => handleReleaseEscrow(escrow)
+      }, ['✓'])
+    ]));
+  });
+}
+
+function renderSubscriptions() {
+  const container = $('#subscription-list');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  xheKernel.getSubscriptions().forEach(sub => {
+    const paused = sub.status === SUBSCRIPTION_STATUS.PAUSED;
+    const last = sub.payments[sub.payments.length - 1];
+    const failed = last?.status === 'FAILED';
+    
+    container.appendChild(createElement('div', {
+      className: `slip-tx outgoing${paused ? ' paused' : ''}${failed ? ' failed' : ''}`,
+      dataset: { testid: 'subscription-entry' },
+      title: failed ? `Last payment failed: ${last.error}` : `To ${sub.to}`
+    }, [
+      createElement('span', { className: 'tx-type' },
+        [`${sub.to.slice(0, 16)}... every ${formatInterval(sub.intervalMs)}`]),
+      createElement('span', { className: 'tx-amount' }, [String(sub.amount)]),
+      createElement('span', { className: 'tx-time' },
+        [paused ? 'paused' : `next ${new Date(sub.nextAt).toLocaleString()}`]),
+      createElement('button', {
+        className: 'btn-copy tx-export',
+        dataset: { testid: 'pause-subscription-btn' },
+        title: paused ? 'Resume' : 'Pause',
+        onClick: () => handleToggleSubscription(sub)
+      }, [paused ? '▶' : '❚❚']),
+      createElement('button', {
+        className: 'btn-copy tx-export',
+        dataset: { testid: 'cancel-subscription-btn' },
+        title: 'Cancel',
+        onClick: () => handleCancelSubscription(sub)
+      }, ['✕'])
+    ]));
+  });
+}
+
+function formatInterval(ms) {
+  const units = [['week', 604800000], ['day', 86400000], ['hour', 3600000], ['minute', 60000]];
+  const [unit, size] = units.find(([, size]) => ms % size === 0) || ['ms', 1];
+  const count = ms / size;
+  return count === 1 ? unit : `${count} ${unit}s`;
+}
+
 // ============================================
 // RESOLUTION STATE DISPLAY
 // ============================================
@@ -307,7 +737,9 @@ function displayResolutionResult(result) {
   
   if (!resolvedType || !resolvedStatus || !resolvedContent) return;
   
-  resolvedType.textContent = result.type;
+  resolvedType.textContent = result.pointer
+    ? `${result.type} (v${result.pointer.version} of ${result.pointer.latest})`
+    : result.type;
   
   // Color-coded status based on resolution state
   const stateColors = {
@@ -315,7 +747,8 @@ function displayResolutionResult(result) {
     [RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE]: 'var(--accent-pulse)',
     [RESOLUTION_STATE.UNKNOWN]: 'var(--accent-danger)',
     [RESOLUTION_STATE.FORBIDDEN]: 'var(--accent-danger)',
-    [RESOLUTION_STATE.INVALID]: 'var(--text-muted)'
+    [RESOLUTION_STATE.INVALID]: 'var(--text-muted)',
+    [RESOLUTION_STATE.CORRUPTED]: 'var(--accent-danger)'
   };
   
   const stateLabels = {
@@ -323,19 +756,75 @@ function displayResolutionResult(result) {
     [RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE]: 'Known (Unavailable)',
     [RESOLUTION_STATE.UNKNOWN]: 'Unknown',
     [RESOLUTION_STATE.FORBIDDEN]: 'Forbidden',
-    [RESOLUTION_STATE.INVALID]: 'Invalid'
+    [RESOLUTION_STATE.INVALID]: 'Invalid',
+    [RESOLUTION_STATE.CORRUPTED]: 'Corrupted'
   };
   
   resolvedStatus.textContent = stateLabels[result.state] || result.state;
   resolvedStatus.style.color = stateColors[result.state] || 'var(--text-secondary)';
   
+  if (result.state === RESOLUTION_STATE.RESOLVED && result.manifest) {
+    const { name, mimeType, size, chunks, layout } = result.manifest;
+    resolvedContent.textContent = `${name ? `${name} · ` : ''}${mimeType} · ${formatBytes(size)} · ${chunks.length} chunks (${layout} DAG)`;
+    // A name's bytes are read through the content address it points at
+    renderManifestPreview(result.target || result.address, result.manifest);
+    return;
+  }
+
+  if (result.state === RESOLUTION_STATE.RESOLVED && result.content instanceof Uint8Array) {
+    const { name, size } = result.metadata;
+    resolvedContent.textContent = `${name ? `${name} · ` : ''}${result.mimeType} · ${formatBytes(size)}`;
+    renderBlobPreview(result.content, result.mimeType);
+    return;
+  }
+
+  renderBlobPreview(null);
   if (result.state === RESOLUTION_STATE.RESOLVED) {
     resolvedContent.textContent = result.content || '—';
+  } else if (result.reason) {
+    resolvedContent.textContent = `${result.error} [${result.reason}]`;
   } else {
     resolvedContent.textContent = result.error || 'Resolution failed';
   }
 }
 
+// Object URL backing the current resolver preview
+let previewUrl = null;
+const PREVIEW_TEXT_BYTES = 4096;
+
+async function renderManifestPreview(address, { mimeType, size }) {
+  // Fetch only what the preview needs: images load whole, text its head
+  renderBlobPreview(null);
+  const end = mimeType.startsWith('image/') ? size : PREVIEW_TEXT_BYTES;
+  const range = await xheKernel.resolveRange(address, 0, end);
+  if (range.state === RESOLUTION_STATE.RESOLVED) {
+    renderBlobPreview(range.content, mimeType, size);
+  }
+}
+
+function renderBlobPreview(bytes, mimeType, totalSize = bytes?.length) {
+  const preview = $('#resolved-preview');
+  if (!preview) return;
+
+  if (previewUrl) {
+    URL.revokeObjectURL(previewUrl);
+    previewUrl = null;
+  }
+  preview.innerHTML = '';
+  preview.hidden = true;
+  if (!bytes) return;
+
+  if (mimeType.startsWith('image/')) {
+    previewUrl = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+    preview.appendChild(createElement('img', { src: previewUrl, alt: 'Resolved image' }));
+    preview.hidden = false;
+  } else if (mimeType.startsWith('text/') || mimeType === 'application/json') {
+    const text = new TextDecoder().decode(bytes.subarray(0, PREVIEW_TEXT_BYTES));
+    preview.appendChild(createElement('pre', {}, [text + (totalSize > PREVIEW_TEXT_BYTES ? '\n...' : '')]));
+    preview.hidden = false;
+  }
+}
+
 // ============================================
 // INTENT HANDLERS (Send to Kernel)
 // ============================================
@@ -346,7 +835,7 @@ async function handleGenerateAddress() {
   const pulseSequence = $('#pulse-sequence');
   const resultAddress = $('#result-address');
   
-  const content = contentInput.value.trim();
+  const content = selectedFile || contentInput.value.trim();
   const namespace = namespaceSelect.value;
   
   if (!content) {
@@ -367,6 +856,7 @@ async function handleGenerateAddress() {
     resultAddress.dataset.fullAddress = result.address;
     
     showToast(`Address generated: ${namespace}://`, 'success');
+    setSelectedFile(null);
     
     renderAddressIndex(getCurrentFilter());
     updateIdentityPanel();
@@ -376,6 +866,98 @@ async function handleGenerateAddress() {
   }
 }
 
+async function handlePublishName() {
+  const labelInput = $('#name-label-input');
+  const contentInput = $('#content-input');
+  const resultAddress = $('#result-address');
+
+  const label = labelInput.value.trim();
+  // Publishes the chosen file, typed content, or the last generated xhe:// address
+  const generated = resultAddress.dataset.fullAddress || '';
+  const target = selectedFile || contentInput.value.trim()
+    || (generated.startsWith('xhe://') ? generated : '');
+
+  if (!label) {
+    showToast('Name label required', 'warning');
+    return;
+  }
+  if (!target) {
+    showToast('Content or a generated xhe:// address required', 'warning');
+    return;
+  }
+
+  try {
+    // INTENT: Request kernel to point the name at new content
+    const result = await xheKernel.publishName(label, target);
+
+    resultAddress.textContent = result.address;
+    resultAddress.dataset.fullAddress = result.address;
+
+    showToast(`Published ${label} v${result.version}`, 'success');
+    labelInput.value = '';
+    setSelectedFile(null);
+
+    renderNames();
+    renderAddressIndex(getCurrentFilter());
+    updateIdentityPanel();
+
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// ============================================
+// FILE DROP ZONE (Binary Content)
+// ============================================
+
+// File chosen in the generator drop zone (sent as-is to the kernel)
+let selectedFile = null;
+
+function setSelectedFile(file) {
+  selectedFile = file;
+
+  const dropZone = $('#drop-zone');
+  const label = $('#drop-zone-label');
+  const clearBtn = $('#clear-file-btn');
+  const fileInput = $('#file-input');
+
+  if (dropZone) dropZone.classList.toggle('has-file', !!file);
+  if (label) {
+    label.textContent = file
+      ? `${file.name} · ${file.type || 'unknown type'} · ${formatBytes(file.size)}`
+      : 'Drop a file or click to choose';
+  }
+  if (clearBtn) clearBtn.hidden = !file;
+  if (fileInput && !file) fileInput.value = '';
+}
+
+function handleDropZoneClick(event) {
+  if (event.target.closest('#clear-file-btn')) return;
+  const fileInput = $('#file-input');
+  if (fileInput) fileInput.click();
+}
+
+function handleFileSelect(event) {
+  const file = event.target.files[0];
+  if (file) setSelectedFile(file);
+}
+
+function handleDragOver(event) {
+  event.preventDefault();
+  event.currentTarget.classList.add('dragover');
+}
+
+function handleDragLeave(event) {
+  event.currentTarget.classList.remove('dragover');
+}
+
+function handleFileDrop(event) {
+  event.preventDefault();
+  event.currentTarget.classList.remove('dragover');
+  const file = event.dataTransfer.files[0];
+  if (file) setSelectedFile(file);
+}
+
 async function handleResolveAddress() {
   const resolveInput = $('#resolve-input');
   const address = resolveInput.value.trim();
@@ -427,28 +1009,31 @@ function handleFilterChange(event) {
   const btn = event.target;
   if (!btn.classList.contains('filter-btn')) return;
   
-  $$('.filter-btn').forEach(b => b.classList.remove('active'));
+  $$('.book-filters .filter-btn').forEach(b => b.classList.remove('active'));
   btn.classList.add('active');
   
   renderAddressIndex(btn.dataset.filter);
 }
 
 function getCurrentFilter() {
-  const activeBtn = $('.filter-btn.active');
+  const activeBtn = $('.book-filters .filter-btn.active');
   return activeBtn ? activeBtn.dataset.filter : 'all';
 }
 
-function handleExportKernel() {
-  const data = xheKernel.exportKernelState();
+function downloadJSON(data, filename) {
   const blob = new Blob([data], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   
   const a = document.createElement('a');
   a.href = url;
-  a.download = `xhe-kernel-${Date.now()}.json`;
+  a.download = filename;
   a.click();
   
   URL.revokeObjectURL(url);
+}
+
+function handleExportKernel() {
+  downloadJSON(xheKernel.exportKernelState(), `xhe-kernel-${Date.now()}.json`);
   showToast('Kernel state exported', 'success');
 }
 
@@ -461,12 +1046,13 @@ function handleFileImport(event) {
   if (!file) return;
   
   const reader = new FileReader();
-  reader.onload = (e) => {
-    const result = xheKernel.importKernelState(e.target.result);
+  reader.onload = async (e) => {
+    const result = await xheKernel.importKernelState(e.target.result);
     
     if (result.imported > 0) {
       showToast(`Imported ${result.imported} items`, 'success');
       renderAddressIndex(getCurrentFilter());
+      renderNames();
       renderFeed();
       updateIdentityPanel();
     } else if (result.errors.length > 0) {
@@ -479,14 +1065,78 @@ function handleFileImport(event) {
   event.target.value = '';
 }
 
-function handleClearIndex() {
+async function handleClearIndex() {
   if (confirm('Clear address index? (Kernel content preserved)')) {
-    xheKernel.clearAddressIndex();
-    renderAddressIndex('all');
-    showToast('Index cleared (content preserved)', 'warning');
+    try {
+      await xheKernel.clearAddressIndex();
+      renderAddressIndex('all');
+      showToast('Index cleared (content preserved)', 'warning');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }
+}
+
+async function handleTogglePin(address) {
+  try {
+    // INTENT: Request kernel to pin or unpin content
+    if (xheKernel.isPinned(address)) {
+      await xheKernel.unpin(address);
+      showToast('Unpinned', 'info');
+    } else {
+      await xheKernel.pin(address);
+      showToast('Pinned', 'success');
+    }
+    renderAddressIndex(getCurrentFilter());
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleCollectGarbage() {
+  try {
+    // Dry run first so the confirmation can say what would go
+    const plan = await xheKernel.collectGarbage({ dryRun: true });
+    if (plan.content.length === 0 && plan.chunks.length === 0) {
+      showToast('Nothing to collect', 'info');
+      return;
+    }
+
+    const summary = `${plan.content.length} entries, ${plan.chunks.length} chunks (${formatBytes(plan.bytes)})`;
+    if (!confirm(`Delete unreachable content? ${summary}`)) return;
+
+    await xheKernel.collectGarbage();
+    renderAddressIndex(getCurrentFilter());
+    updateIdentityPanel();
+    updateStorageUsage();
+    showToast(`Collected ${summary}`, 'warning');
+  } catch (error) {
+    showToast(error.message, 'error');
   }
 }
 
+async function handleVerifyChain() {
+  // INTENT: Request kernel to audit the pulse chain (result arrives as a kernel event)
+  const result = await xheKernel.verifyPulseChain();
+  showToast(result.valid ? 'Pulse chain verified' : `Chain broken: ${result.error.type}`,
+    result.valid ? 'success' : 'error');
+}
+
+async function handleFsck() {
+  // INTENT: Request a full storage integrity scan (details arrive as a kernel event)
+  showToast('Checking storage integrity...', 'info');
+  const result = await xheKernel.fsck();
+  showToast(result.clean ? 'Storage intact' : `${result.issues.length} integrity issues found`,
+    result.clean ? 'success' : 'error');
+}
+
+async function handleAuditLedger() {
+  // INTENT: Request kernel to recompute balances from the transaction log
+  const result = await xheKernel.auditLedger();
+  showToast(result.valid ? 'Ledger balanced' : `${result.issues.length} ledger issues found`,
+    result.valid ? 'success' : 'error');
+}
+
 function handleClearConsole() {
   const output = $('#console-output');
   if (output) output.innerHTML = '';
@@ -505,9 +1155,19 @@ function handleToggleIdentity() {
 
 async function handleNewIdentity() {
   if (confirm('Generate new identity? (History preserved for audit)')) {
-    await xheKernel.regenerateIdentity();
-    updateIdentityPanel();
-    showToast('New identity generated', 'success');
+    // The new identity will not be on the mint authority list
+    const relinquishAuthority = xheKernel.getSupplyPolicy().mintAuthorities.includes(xheKernel.getDID());
+    if (relinquishAuthority &&
+        !confirm('This identity is a mint authority and the new one will not be. Nobody here will be able to mint or change the policy (only a kernel reset undoes this). Continue?')) {
+      return;
+    }
+    try {
+      await xheKernel.regenerateIdentity({ relinquishAuthority });
+      updateIdentityPanel();
+      showToast('New identity generated', 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
   }
 }
 
@@ -527,23 +1187,98 @@ async function handleCreatePost() {
   
   try {
     const options = {};
-    if (window.selectedChannel) {
+    if (replyTarget) {
+      // Replies follow their parent's channel
+      options.replyTo = replyTarget.id;
+    } else if (window.selectedChannel) {
       options.channel = window.selectedChannel;
     }
     
     await xheKernel.createPost(content, options);
     
     input.value = '';
+    setReplyTarget(null);
     renderFeed();
     renderChannels();
     updateIdentityPanel();
-    showToast('Post created', 'success');
+    showToast(options.replyTo ? 'Reply posted' : 'Post created', 'success');
     
   } catch (error) {
     showToast(error.message, 'error');
   }
 }
 
+async function runSocialAction(action, message) {
+  try {
+    await action();
+    renderSocialGraph();
+    renderFeed();
+    showToast(message, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function handleFollowInput(action, message) {
+  const input = $('#follow-input');
+  if (!input) return;
+  
+  const did = input.value.trim();
+  if (!did || !did.startsWith('did:xhe:')) {
+    showToast('Valid DID required', 'warning');
+    return;
+  }
+  
+  input.value = '';
+  runSocialAction(() => action(did), message);
+}
+
+async function handleRepost(post) {
+  try {
+    // Reposting a repost shares the original it points to
+    await xheKernel.repost(post.repostOf || post.id);
+    renderFeed();
+    updateIdentityPanel();
+    showToast('Reposted', 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function refreshPostViews() {
+  renderFeed();
+  renderChannels();
+  if (window.selectedChannel) selectChannel(window.selectedChannel);
+  updateIdentityPanel();
+}
+
+async function handleEditPost(post) {
+  const content = prompt('Edit post:', post.content || '');
+  if (content === null || !content.trim() || content === post.content) return;
+  
+  try {
+    await xheKernel.editPost(post.id, content);
+    refreshPostViews();
+    showToast('Post edited', 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleDeletePost(post) {
+  if (!confirm('Delete this post? A signed tombstone hides it from feeds.')) return;
+  const purge = confirm('Also purge its content from storage? This cannot be undone.');
+  
+  try {
+    await xheKernel.deletePost(post.id, { purge });
+    if (replyTarget?.id === post.id) setReplyTarget(null);
+    refreshPostViews();
+    showToast(purge ? 'Post deleted and purged' : 'Post deleted', 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 async function handleCreateChannel() {
   const nameInput = $('#channel-name-input');
   if (!nameInput) return;
@@ -575,19 +1310,20 @@ async function handleMintSlips() {
   const amountInput = $('#mint-amount');
   if (!amountInput) return;
   
-  const amount = parseInt(amountInput.value, 10);
-  if (!amount || amount <= 0) {
+  const amount = readAmount('#mint-amount', '#mint-asset');
+  if (!amount) {
     showToast('Valid amount required', 'warning');
     return;
   }
   
   try {
-    await xheKernel.mintSlips(amount, 'USER_MINT');
+    await xheKernel.mintSlips(amount.units, 'USER_MINT', amount.asset.id);
     
     amountInput.value = '';
     renderSlipHistory();
+    updateSlipsBalance();
     updateIdentityPanel();
-    showToast(`Minted ${amount} slips`, 'success');
+    showToast(`Minted ${formatAmount(amount.units, amount.asset.id)}`, 'success');
     
   } catch (error) {
     showToast(error.message, 'error');
@@ -600,8 +1336,45 @@ async function handleTransferSlips() {
   
   if (!toInput || !amountInput) return;
   
+  const to = toInput.value.trim();
+  const amount = readAmount('#transfer-amount', '#transfer-asset');
+  
+  if (!to || !to.startsWith('did:xhe:')) {
+    showToast('Valid DID required', 'warning');
+    return;
+  }
+  
+  if (!amount) {
+    showToast('Valid amount required', 'warning');
+    return;
+  }
+  
+  try {
+    await xheKernel.transferSlips(to, amount.units, '', amount.asset.id);
+    
+    toInput.value = '';
+    amountInput.value = '';
+    renderSlipHistory();
+    updateSlipsBalance();
+    updateIdentityPanel();
+    showToast(`Transferred ${formatAmount(amount.units, amount.asset.id)}. Export the note from history to deliver it.`, 'success');
+    
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleCreateEscrow() {
+  const toInput = $('#escrow-to');
+  const amountInput = $('#escrow-amount');
+  const valueInput = $('#escrow-condition-value');
+  const expirySelect = $('#escrow-expiry');
+  
+  if (!toInput || !amountInput || !valueInput || !expirySelect) return;
+  
   const to = toInput.value.trim();
   const amount = parseInt(amountInput.value, 10);
+  const hash = valueInput.value.trim().toLowerCase();
   
   if (!to || !to.startsWith('did:xhe:')) {
     showToast('Valid DID required', 'warning');
@@ -613,14 +1386,221 @@ async function handleTransferSlips() {
     return;
   }
   
+  // The recipient reveals the secret behind the hash to be paid. Pulse
+  // conditions only see this kernel's own pulses, so a reply from the
+  // recipient could never meet one; they stay kernel API only.
   try {
-    await xheKernel.transferSlips(to, amount);
+    await xheKernel.createEscrow({
+      to,
+      amount,
+      condition: { type: ESCROW_CONDITION.HASHLOCK, hash },
+      expiresAt: Date.now() + parseInt(expirySelect.value, 10)
+    });
     
     toInput.value = '';
     amountInput.value = '';
+    valueInput.value = '';
+    renderEscrows();
     renderSlipHistory();
+    updateSlipsBalance();
+    showToast(`Escrowed ${amount} slips`, 'success');
+    
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleReleaseEscrow(escrow) {
+  let preimage = null;
+  if (escrow.condition.type === ESCROW_CONDITION.HASHLOCK) {
+    preimage = prompt('Secret that unlocks this escrow:');
+    if (preimage === null) return;
+  }
+  
+  try {
+    await xheKernel.releaseEscrow(escrow.id, preimage);
+    showToast(`Released ${escrow.amount} slips. Export the note from history to deliver it.`, 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleCreateSubscription() {
+  const toInput = $('#subscription-to');
+  const amountInput = $('#subscription-amount');
+  const intervalSelect = $('#subscription-interval');
+  
+  if (!toInput || !amountInput || !intervalSelect) return;
+  
+  const to = toInput.value.trim();
+  const amount = parseInt(amountInput.value, 10);
+  
+  if (!to || !to.startsWith('did:xhe:')) {
+    showToast('Valid DID required', 'warning');
+    return;
+  }
+  
+  if (!amount || amount <= 0) {
+    showToast('Valid amount required', 'warning');
+    return;
+  }
+  
+  try {
+    const interval = parseInt(intervalSelect.value, 10);
+    await xheKernel.createSubscription(to, amount, interval);
+    
+    toInput.value = '';
+    amountInput.value = '';
+    renderSubscriptions();
+    showToast(`Paying ${amount} slips every ${formatInterval(interval)}`, 'success');
+    
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleToggleSubscription(sub) {
+  try {
+    if (sub.status === SUBSCRIPTION_STATUS.PAUSED) {
+      await xheKernel.resumeSubscription(sub.id);
+    } else {
+      await xheKernel.pauseSubscription(sub.id);
+    }
+    renderSubscriptions();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleCancelSubscription(sub) {
+  if (!confirm(`Cancel paying ${sub.amount} slips every ${formatInterval(sub.intervalMs)}?`)) return;
+  
+  try {
+    await xheKernel.cancelSubscription(sub.id);
+    renderSubscriptions();
+    showToast('Subscription cancelled', 'info');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleDefineAsset() {
+  const symbolInput = $('#asset-symbol');
+  const decimalsInput = $('#asset-decimals');
+  
+  if (!symbolInput || !decimalsInput) return;
+  
+  const symbol = symbolInput.value.trim().toUpperCase();
+  const decimals = parseInt(decimalsInput.value || '0', 10);
+  
+  try {
+    const asset = await xheKernel.defineAsset({ symbol, decimals });
+    
+    symbolInput.value = '';
+    decimalsInput.value = '';
+    renderAssetOptions();
+    updateSlipsBalance();
+    showToast(`Defined ${asset.address}`, 'success');
+    
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function handleExportSlipNote(txId) {
+  try {
+    downloadJSON(xheKernel.exportSlipNote(txId), `xhe-slip-note-${Date.now()}.json`);
+    showToast('Slip note exported', 'success');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleReceiveSlipNote() {
+  const noteInput = $('#receive-note');
+  if (!noteInput) return;
+  
+  const json = noteInput.value.trim();
+  if (!json) {
+    showToast('Paste a slip note first', 'warning');
+    return;
+  }
+  
+  try {
+    const tx = await xheKernel.importSlipNote(json);
+    
+    noteInput.value = '';
+    renderSlipHistory();
+    updateSlipsBalance();
+    updateIdentityPanel();
+    renderAssetOptions();
+    showToast(`Received ${formatAmount(tx.amount, tx.asset)}`, 'success');
+    
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleBurnSlips() {
+  const amountInput = $('#burn-amount');
+  const reasonInput = $('#burn-reason');
+  
+  if (!amountInput || !reasonInput) return;
+  
+  const amount = readAmount('#burn-amount', '#burn-asset');
+  if (!amount) {
+    showToast('Valid amount required', 'warning');
+    return;
+  }
+  
+  try {
+    await xheKernel.burnSlips(amount.units, reasonInput.value.trim() || undefined, amount.asset.id);
+    
+    amountInput.value = '';
+    reasonInput.value = '';
+    renderSlipHistory();
+    updateSlipsBalance();
     updateIdentityPanel();
-    showToast(`Transferred ${amount} slips`, 'success');
+    showToast(`Burned ${formatAmount(amount.units, amount.asset.id)}`, 'success');
+    
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleApplyPolicy() {
+  const maxSupply = parseInt($('#policy-max-supply').value, 10);
+  const cap = parseInt($('#policy-cap').value, 10);
+  const scheduled = parseInt($('#policy-schedule').value, 10);
+  const periodMs = parseInt($('#policy-period').value, 10);
+  const authorities = $('#policy-authorities').value
+    .split(',')
+    .map(did => did.trim())
+    .filter(Boolean);
+
+  // Blank fields lift the corresponding limit; an unchanged schedule keeps
+  // its next payout time
+  const current = xheKernel.getSupplyPolicy().schedule;
+  const keepSchedule = current && current.amount === scheduled && current.intervalMs === periodMs;
+  
+  // An authority list without this identity cannot be taken back from here
+  const relinquishAuthority = authorities.length > 0 && !authorities.includes(xheKernel.getDID());
+  if (relinquishAuthority &&
+      !confirm('This identity is not in the mint authority list. It will no longer be able to mint or change the policy (only a kernel reset undoes this). Continue?')) {
+    return;
+  }
+  
+  try {
+    await xheKernel.setSupplyPolicy({
+      maxSupply: maxSupply > 0 ? maxSupply : null,
+      mintAuthorities: authorities,
+      periodCap: cap > 0 ? { amount: cap, periodMs } : null,
+      ...(!keepSchedule && { schedule: scheduled > 0 ? { amount: scheduled, intervalMs: periodMs } : null })
+    }, { relinquishAuthority });
+    
+    renderSupplyPolicy();
+    updateSlipsBalance();
+    showToast('Supply policy applied', 'success');
     
   } catch (error) {
     showToast(error.message, 'error');
@@ -648,11 +1628,17 @@ function handleTabChange(event) {
   });
   
   // Refresh relevant data
-  if (tabId === 'feed') renderFeed();
+  if (tabId === 'feed') {
+    renderFeed();
+    renderSocialGraph();
+  }
   if (tabId === 'channels') renderChannels();
   if (tabId === 'slips') {
     renderSlipHistory();
+    renderEscrows();
+    renderSubscriptions();
     updateSlipsBalance();
+    renderSupplyPolicy();
   }
 }
 
@@ -661,6 +1647,42 @@ function updateSlipsBalance() {
   if (mainBalance) {
     mainBalance.textContent = xheKernel.getSlipBalance();
   }
+  const assetBalances = $('#asset-balances');
+  if (assetBalances) {
+    // Slips are the headline figure; issued assets are listed beneath
+    assetBalances.innerHTML = '';
+    xheKernel.getAssetBalances().slice(1).forEach(({ asset, balance }) => {
+      assetBalances.appendChild(createElement('span', {
+        className: 'balance-unit',
+        dataset: { testid: 'asset-balance' },
+        title: asset.address
+      }, [formatAmount(balance, asset.id)]));
+    });
+  }
+  const supply = $('#slip-supply');
+  if (supply) {
+    const { circulating, maxSupply, minted, burned, received, sent } = xheKernel.getSupplyStats();
+    supply.textContent = `Supply: ${circulating}${maxSupply === null ? '' : ` / ${maxSupply}`}`
+      + ` · minted ${minted} · burned ${burned} · received ${received} · sent ${sent}`;
+  }
+}
+
+function renderSupplyPolicy() {
+  const { maxSupply, mintAuthorities, periodCap, schedule } = xheKernel.getSupplyPolicy();
+  const fields = {
+    '#policy-max-supply': maxSupply ?? '',
+    '#policy-authorities': mintAuthorities.join(', '),
+    '#policy-cap': periodCap?.amount ?? '',
+    '#policy-schedule': schedule?.amount ?? ''
+  };
+  Object.entries(fields).forEach(([selector, value]) => {
+    const input = $(selector);
+    if (input) input.value = value;
+  });
+
+  const period = $('#policy-period');
+  const periodMs = periodCap?.periodMs || schedule?.intervalMs;
+  if (period && periodMs) period.value = String(periodMs);
 }
 
 // ============================================
@@ -673,11 +1695,32 @@ function setupKernelListeners() {
     const typeLabels = {
       [PULSE_TYPE.ADDRESS_GENERATE]: 'Address generated',
       [PULSE_TYPE.ADDRESS_RESOLVE]: 'Address resolved',
+      [PULSE_TYPE.NAME_PUBLISH]: 'Name published',
+      [PULSE_TYPE.CONTENT_PIN]: 'Content pinned',
+      [PULSE_TYPE.CONTENT_UNPIN]: 'Content unpinned',
+      [PULSE_TYPE.STORAGE_GC]: 'Garbage collected',
       [PULSE_TYPE.IDENTITY_CREATE]: 'Identity created',
       [PULSE_TYPE.IDENTITY_REGENERATE]: 'Identity regenerated',
+      [PULSE_TYPE.SLIP_POLICY]: 'Supply policy changed',
       [PULSE_TYPE.SLIP_MINT]: 'Slips minted',
       [PULSE_TYPE.SLIP_TRANSFER]: 'Slips transferred',
+      [PULSE_TYPE.SLIP_RECEIVE]: 'Slip note received',
+      [PULSE_TYPE.SLIP_ESCROW]: 'Slips escrowed',
+      [PULSE_TYPE.SLIP_ESCROW_RELEASE]: 'Escrow released',
+      [PULSE_TYPE.SLIP_ESCROW_REFUND]: 'Escrow refunded',
+      [PULSE_TYPE.SLIP_ASSET]: 'Asset defined',
+      [PULSE_TYPE.SLIP_SUBSCRIPTION]: 'Subscription updated',
+      [PULSE_TYPE.SLIP_PAYMENT_FAILED]: 'Subscription payment failed',
+      [PULSE_TYPE.SLIP_BURN]: 'Slips burned',
       [PULSE_TYPE.POST_CREATE]: 'Post created',
+      [PULSE_TYPE.POST_REPLY]: 'Reply posted',
+      [PULSE_TYPE.POST_REPOST]: 'Post reposted',
+      [PULSE_TYPE.POST_EDIT]: 'Post edited',
+      [PULSE_TYPE.POST_DELETE]: 'Post deleted',
+      [PULSE_TYPE.FOLLOW]: 'Followed',
+      [PULSE_TYPE.UNFOLLOW]: 'Unfollowed',
+      [PULSE_TYPE.BLOCK]: 'Blocked',
+      [PULSE_TYPE.UNBLOCK]: 'Unblocked',
       [PULSE_TYPE.CHANNEL_CREATE]: 'Channel created',
       [PULSE_TYPE.KERNEL_INIT]: 'Kernel initialized',
       [PULSE_TYPE.KERNEL_RESET]: 'Kernel reset'
@@ -692,6 +1735,103 @@ function setupKernelListeners() {
     updateIdentityPanel();
   });
   
+  xheKernel.on('kernel:chain:verified', ({ valid, checked, error }) => {
+    if (valid) {
+      appendToConsole('success', `Pulse chain intact (${checked} pulses)`);
+    } else {
+      appendToConsole('error', `${error.type} at ${error.sequence}: ${error.message}`, error.pulseId);
+    }
+  });
+  
+  xheKernel.on('kernel:storage:error', ({ intent, message, quotaExceeded }) => {
+    appendToConsole('error', `${intent} rolled back: ${message}`);
+    if (quotaExceeded) {
+      appendToConsole('warning', 'Storage quota reached. Export kernel state to free space.');
+    }
+    updateStorageUsage();
+  });
+  
+  xheKernel.on('kernel:sync', ({ intent, full }) => {
+    // Another tab committed; re-render everything from kernel state
+    if (full) {
+      appendToConsole('info', 'Resynced with other tabs');
+    } else {
+      appendToConsole('info', `Synced from another tab: ${intent}`);
+    }
+    renderAddressIndex(getCurrentFilter());
+    renderNames();
+    renderFeed();
+    renderSocialGraph();
+    renderChannels();
+    renderAssetOptions();
+    renderSlipHistory();
+    renderEscrows();
+    renderSubscriptions();
+    updateSlipsBalance();
+    renderSupplyPolicy();
+    updateIdentityPanel();
+  });
+
+  xheKernel.on('kernel:subscriptions:run', ({ payments }) => {
+    payments.forEach(({ subscriptionId, status, amount, periods, error }) => {
+      if (status === 'FAILED') {
+        const span = periods > 1 ? ` over ${periods} periods` : '';
+        appendToConsole('error', `Subscription ${subscriptionId.slice(0, 8)}: ${amount} slips${span} not paid (${error})`);
+      } else {
+        appendToConsole('success', `Subscription ${subscriptionId.slice(0, 8)}: paid ${amount} slips`);
+      }
+    });
+    renderSubscriptions();
+    renderSlipHistory();
+    updateSlipsBalance();
+  });
+
+  xheKernel.on('kernel:escrow:settled', ({ escrowId, status, amount }) => {
+    // Releases on a pulse and refunds on expiry happen without a click
+    appendToConsole(status === ESCROW_STATUS.RELEASED ? 'success' : 'warning',
+      `Escrow ${escrowId.slice(0, 8)} ${status.toLowerCase()} (${amount} slips)`);
+    renderEscrows();
+    renderSlipHistory();
+    updateSlipsBalance();
+  });
+
+  xheKernel.on('kernel:scheme:registered', ({ prefix, label }) => {
+    appendToConsole('info', `Scheme registered: ${prefix} (${label})`);
+    renderSchemes();
+  });
+
+  xheKernel.on('kernel:name:published', ({ name, version, target }) => {
+    appendToConsole('success', `${truncateAddress(name)} v${version} -> ${truncateAddress(target)}`);
+  });
+
+  xheKernel.on('kernel:integrity:error', ({ address, error }) => {
+    appendToConsole('error', `Corrupted: ${truncateAddress(address)} (${error})`);
+  });
+
+  xheKernel.on('kernel:fsck:complete', ({ clean, checked, issues, durationMs }) => {
+    const records = Object.values(checked).reduce((sum, count) => sum + count, 0);
+    if (clean) {
+      appendToConsole('success', `fsck: ${records} records intact (${durationMs} ms)`);
+      return;
+    }
+    issues.forEach(({ type, store, key, message }) => {
+      appendToConsole('error', `fsck ${type} in ${store}/${key.slice(0, 24)}: ${message}`);
+    });
+  });
+
+  xheKernel.on('kernel:ledger:audited', ({ valid, transactions, accounts, issues }) => {
+    if (valid) {
+      appendToConsole('success', `Ledger balanced (${transactions} transactions, ${accounts} accounts)`);
+      return;
+    }
+    issues.forEach(({ type, message }) => appendToConsole('error', `${type}: ${message}`));
+  });
+
+  xheKernel.on('kernel:gc:complete', ({ dryRun, content, chunks, bytes }) => {
+    const summary = `${content.length} entries, ${chunks.length} chunks, ${formatBytes(bytes)}`;
+    appendToConsole(dryRun ? 'info' : 'warning', dryRun ? `GC dry run: ${summary} reclaimable` : `GC: reclaimed ${summary}`);
+  });
+
   xheKernel.on('kernel:index:cleared', () => {
     appendToConsole('warning', 'Address index cleared');
   });
@@ -726,7 +1866,26 @@ function setupKeyboardShortcuts() {
 // INITIALIZATION
 // ============================================
 
-function init() {
+function setKernelStatus(text, failed = false) {
+  const statusText = $('#kernel-status-text');
+  const statusDot = $('#kernel-status-dot');
+  if (statusText) statusText.textContent = text;
+  if (statusDot) statusDot.classList.toggle('failed', failed);
+}
+
+async function init() {
+  // Kernel boot is async (genesis pulses are hashed and signed);
+  // nothing renders until it has resolved
+  try {
+    await xheKernel.ready;
+    setKernelStatus('Kernel Active');
+  } catch (error) {
+    setKernelStatus('Kernel Failed', true);
+    showToast(`Kernel failed to start: ${error.message}`, 'error', 10000);
+    console.error('[UI] Kernel boot failed:', error);
+    return;
+  }
+  
   // Address generation
   const genBtn = $('#generate-btn');
   if (genBtn) genBtn.addEventListener('click', handleGenerateAddress);
@@ -740,6 +1899,24 @@ function init() {
   const nsSelect = $('#namespace-select');
   if (nsSelect) nsSelect.addEventListener('change', handleNamespaceChange);
   
+  const publishNameBtn = $('#publish-name-btn');
+  if (publishNameBtn) publishNameBtn.addEventListener('click', handlePublishName);
+  
+  // File drop zone
+  const dropZone = $('#drop-zone');
+  if (dropZone) {
+    dropZone.addEventListener('click', handleDropZoneClick);
+    dropZone.addEventListener('dragover', handleDragOver);
+    dropZone.addEventListener('dragleave', handleDragLeave);
+    dropZone.addEventListener('drop', handleFileDrop);
+  }
+  
+  const fileInput = $('#file-input');
+  if (fileInput) fileInput.addEventListener('change', handleFileSelect);
+  
+  const clearFileBtn = $('#clear-file-btn');
+  if (clearFileBtn) clearFileBtn.addEventListener('click', () => setSelectedFile(null));
+  
   // Filters
   const filters = $('.book-filters');
   if (filters) filters.addEventListener('click', handleFilterChange);
@@ -757,10 +1934,22 @@ function init() {
   const clearBtn = $('#clear-book-btn');
   if (clearBtn) clearBtn.addEventListener('click', handleClearIndex);
   
+  const gcBtn = $('#gc-btn');
+  if (gcBtn) gcBtn.addEventListener('click', handleCollectGarbage);
+  
   // Console
   const clearConsoleBtn = $('#clear-console-btn');
   if (clearConsoleBtn) clearConsoleBtn.addEventListener('click', handleClearConsole);
   
+  const verifyChainBtn = $('#verify-chain-btn');
+  if (verifyChainBtn) verifyChainBtn.addEventListener('click', handleVerifyChain);
+  
+  const fsckBtn = $('#fsck-btn');
+  if (fsckBtn) fsckBtn.addEventListener('click', handleFsck);
+  
+  const auditLedgerBtn = $('#audit-ledger-btn');
+  if (auditLedgerBtn) auditLedgerBtn.addEventListener('click', handleAuditLedger);
+  
   // Identity
   const toggleIdBtn = $('#toggle-identity-btn');
   if (toggleIdBtn) toggleIdBtn.addEventListener('click', handleToggleIdentity);
@@ -780,6 +1969,15 @@ function init() {
   const channelBtn = $('#create-channel-btn');
   if (channelBtn) channelBtn.addEventListener('click', handleCreateChannel);
   
+  const followBtn = $('#follow-btn');
+  if (followBtn) followBtn.addEventListener('click', () => handleFollowInput(did => xheKernel.follow(did), 'Followed'));
+  
+  const blockBtn = $('#block-btn');
+  if (blockBtn) blockBtn.addEventListener('click', () => handleFollowInput(did => xheKernel.block(did), 'Blocked'));
+  
+  const feedFilters = $('.feed-filters');
+  if (feedFilters) feedFilters.addEventListener('click', handleFeedModeChange);
+  
   // Slips
   const mintBtn = $('#mint-btn');
   if (mintBtn) mintBtn.addEventListener('click', handleMintSlips);
@@ -787,15 +1985,39 @@ function init() {
   const transferBtn = $('#transfer-btn');
   if (transferBtn) transferBtn.addEventListener('click', handleTransferSlips);
   
+  const assetBtn = $('#asset-btn');
+  if (assetBtn) assetBtn.addEventListener('click', handleDefineAsset);
+  
+  const subscriptionBtn = $('#subscription-btn');
+  if (subscriptionBtn) subscriptionBtn.addEventListener('click', handleCreateSubscription);
+  
+  const escrowBtn = $('#escrow-btn');
+  if (escrowBtn) escrowBtn.addEventListener('click', handleCreateEscrow);
+  
+  const receiveBtn = $('#receive-btn');
+  if (receiveBtn) receiveBtn.addEventListener('click', handleReceiveSlipNote);
+  
+  const burnBtn = $('#burn-btn');
+  if (burnBtn) burnBtn.addEventListener('click', handleBurnSlips);
+  
+  const policyBtn = $('#policy-btn');
+  if (policyBtn) policyBtn.addEventListener('click', handleApplyPolicy);
+  
   // Setup kernel event listeners
   setupKernelListeners();
   setupKeyboardShortcuts();
   
   // Initial render
+  renderSchemes();
   renderAddressIndex('all');
+  renderNames();
   renderFeed();
+  renderSocialGraph();
   renderChannels();
+  renderAssetOptions();
   renderSlipHistory();
+  renderEscrows();
+  renderSubscriptions();
   updateIdentityPanel();
   
   // Initial console message
@@ -28,13 +28,15 @@ const RESOLUTION_STATE = Object.freeze({
   KNOWN_BUT_UNAVAILABLE: 'KNOWN_BUT_UNAVAILABLE', // Address known, content missing
   UNKNOWN: 'UNKNOWN',                      // Address not in kernel state
   FORBIDDEN: 'FORBIDDEN',                  // Access denied by capability
-  INVALID: 'INVALID'                       // Malformed address
+  INVALID: 'INVALID',                      // Malformed address
+  CORRUPTED: 'CORRUPTED'                   // Stored content no longer matches its address
 });
 
 // ============================================
 // URI SCHEMES
 // ============================================
 
+// Built-in schemes; others are added at runtime with registerScheme()
 const URI_SCHEMES = Object.freeze({
   XHE: 'xhe',
   DID_XHE: 'did:xhe',
@@ -42,7 +44,9 @@ const URI_SCHEMES = Object.freeze({
   IPFS: 'ipfs',
   SLIP: 'slip',
   FEED: 'feed',
-  CHANNEL: 'channel'
+  CHANNEL: 'channel',
+  NAME: 'name',
+  SLIP_ASSET: 'slip-asset'
 });
 
 // ============================================
@@ -61,736 +65,4835 @@ const PULSE_TYPE = Object.freeze({
   // Address events
   ADDRESS_GENERATE: 'ADDRESS_GENERATE',
   ADDRESS_RESOLVE: 'ADDRESS_RESOLVE',
+
+  // Name events (mutable pointers)
+  NAME_PUBLISH: 'NAME_PUBLISH',
+
+  // Storage events
+  CONTENT_PIN: 'CONTENT_PIN',
+  CONTENT_UNPIN: 'CONTENT_UNPIN',
+  STORAGE_GC: 'STORAGE_GC',
   
   // Slip events (economic layer)
+  SLIP_POLICY: 'SLIP_POLICY',
   SLIP_MINT: 'SLIP_MINT',
   SLIP_TRANSFER: 'SLIP_TRANSFER',
+  SLIP_RECEIVE: 'SLIP_RECEIVE',
+  SLIP_ESCROW: 'SLIP_ESCROW',
+  SLIP_ESCROW_RELEASE: 'SLIP_ESCROW_RELEASE',
+  SLIP_ESCROW_REFUND: 'SLIP_ESCROW_REFUND',
+  SLIP_ASSET: 'SLIP_ASSET',
+  SLIP_SUBSCRIPTION: 'SLIP_SUBSCRIPTION',
+  SLIP_PAYMENT_FAILED: 'SLIP_PAYMENT_FAILED',
   SLIP_BURN: 'SLIP_BURN',
   
   // Social events
   POST_CREATE: 'POST_CREATE',
   POST_REPLY: 'POST_REPLY',
   POST_REPOST: 'POST_REPOST',
+  POST_EDIT: 'POST_EDIT',
+  POST_DELETE: 'POST_DELETE',     // Signed tombstone hiding a post
   FOLLOW: 'FOLLOW',
   UNFOLLOW: 'UNFOLLOW',
+  BLOCK: 'BLOCK',
+  UNBLOCK: 'UNBLOCK',
   CHANNEL_CREATE: 'CHANNEL_CREATE',
   CHANNEL_POST: 'CHANNEL_POST'
 });
 
 // ============================================
-// CRYPTO UTILITIES (Pure Functions)
+// PULSE CHAIN ERRORS
 // ============================================
 
-async function sha256(content) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(content);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+const CHAIN_ERROR = Object.freeze({
+  SEQUENCE_GAP: 'SEQUENCE_GAP',     // Sequence number missing from the chain
+  BROKEN_LINK: 'BROKEN_LINK',       // prevHash does not match the previous pulse
+  HASH_MISMATCH: 'HASH_MISMATCH',   // Pulse content edited after emission
+  BAD_SIGNATURE: 'BAD_SIGNATURE',   // Signature missing or not by the author
+  HEAD_MISMATCH: 'HEAD_MISMATCH'    // Chain truncated or head rewritten
+});
+
+function chainError(type, sequence, pulseId, message) {
+  return { type, sequence, pulseId, message };
 }
 
-function randomHex(length = 32) {
-  const array = new Uint8Array(length / 2);
-  crypto.getRandomValues(array);
-  return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
+// ============================================
+// STORAGE INTEGRITY ISSUES (fsck)
+// ============================================
+
+const INTEGRITY_ISSUE = Object.freeze({
+  HASH_MISMATCH: 'HASH_MISMATCH',           // Record no longer hashes to its key
+  MISSING_CHUNK: 'MISSING_CHUNK',           // Content lists a chunk the chunk store lacks
+  ORPHANED_INDEX_ENTRY: 'ORPHANED_INDEX_ENTRY', // Index entry whose content is gone
+  DANGLING_REFERENCE: 'DANGLING_REFERENCE', // Pulse, post, name or pin pointing at missing content
+  BAD_SIGNATURE: 'BAD_SIGNATURE'            // Signed record not signed by its owner
+});
+
+// Records re-hashed between event-loop yields during fsck()
+const FSCK_YIELD_EVERY = 50;
+
+function integrityIssue(type, store, key, message) {
+  return { type, store, key, message };
 }
 
-function timestamp() {
-  return new Date().toISOString();
+function pulseContentRef(pulse) {
+  // Content hash (or hash prefix) a pulse payload points at, if any
+  switch (pulse.type) {
+    case PULSE_TYPE.ADDRESS_GENERATE:
+      return parseAddress(pulse.payload?.address)?.hash || null;
+    case PULSE_TYPE.NAME_PUBLISH:
+      return parseAddress(pulse.payload?.target)?.hash || null;
+    case PULSE_TYPE.POST_CREATE:
+    case PULSE_TYPE.POST_REPLY:
+    case PULSE_TYPE.POST_REPOST:
+    case PULSE_TYPE.POST_EDIT:
+      return pulse.payload?.hash || null;
+    default:
+      return null;
+  }
 }
 
-function timeString() {
-  return new Date().toTimeString().slice(0, 8);
+function postHashes(post) {
+  // Content hashes of every version of a post, oldest first
+  return [...(post.history || []).map(version => version.hash), post.hash].filter(Boolean);
 }
 
 // ============================================
-// URI PARSER (Pure)
+// SLIP LEDGER (Double-Entry)
 // ============================================
 
-function parseAddress(address) {
-  if (!address || typeof address !== 'string') return null;
-  
-  const trimmed = address.trim();
-  
-  if (trimmed.startsWith('xhe://')) {
-    return { scheme: URI_SCHEMES.XHE, hash: trimmed.slice(6) };
-  }
-  if (trimmed.startsWith('did:xhe:')) {
-    return { scheme: URI_SCHEMES.DID_XHE, hash: trimmed.slice(8) };
+const SLIP_TX_TYPE = Object.freeze({
+  GENESIS: 'GENESIS',     // Initial credit of a new identity
+  MINT: 'MINT',
+  TRANSFER: 'TRANSFER',
+  RECEIVE: 'RECEIVE',     // Credit from another kernel's slip note
+  ESCROW_LOCK: 'ESCROW_LOCK',
+  ESCROW_RELEASE: 'ESCROW_RELEASE',
+  ESCROW_REFUND: 'ESCROW_REFUND',
+  BURN: 'BURN'            // Retired from supply (mistaken mints, fees)
+});
+
+// System accounts. Issued slips are drawn from ISSUANCE, so it runs
+// negative by exactly the amount ever issued; burned slips collect in
+// BURNED. Slips sent to other kernels collect in OUTBOUND, and slips
+// received from them are drawn from INBOUND. ESCROW holds slips locked
+// by unsettled escrows.
+const SLIP_ACCOUNT = Object.freeze({
+  ISSUANCE: 'slip:issuance',
+  BURNED: 'slip:burned',
+  OUTBOUND: 'slip:outbound',
+  INBOUND: 'slip:inbound',
+  ESCROW: 'slip:escrow'
+});
+
+// Credited once per kernel, to its first identity, by a GENESIS transaction
+const GENESIS_SLIPS = 100;
+
+const LEDGER_ISSUE = Object.freeze({
+  UNBALANCED_TRANSACTION: 'UNBALANCED_TRANSACTION', // Entries do not sum to zero
+  BALANCE_MISMATCH: 'BALANCE_MISMATCH',             // Stored balance differs from the log
+  NEGATIVE_BALANCE: 'NEGATIVE_BALANCE'              // Identity account overdrawn by the log
+});
+
+// Every amount is an integer count of its asset's smallest unit. Slips
+// themselves have no decimals, so amounts from before assets need no
+// conversion.
+const DEFAULT_ASSET = 'SLIP';
+const ASSET_SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{1,11}$/;
+const MAX_ASSET_DECIMALS = 8;
+
+const DEFAULT_ASSET_DEFINITION = Object.freeze({
+  id: DEFAULT_ASSET,
+  symbol: DEFAULT_ASSET,
+  name: 'Slip',
+  decimals: 0,
+  issuer: null,
+  address: `slip-asset://${DEFAULT_ASSET}`
+});
+
+function txAsset(tx) {
+  // Transactions and notes without an asset are in slips
+  return tx.asset || DEFAULT_ASSET;
+}
+
+function assetAccount(account, asset) {
+  // Other assets are booked beside slips as account#asset
+  return asset === DEFAULT_ASSET ? account : `${account}#${asset}`;
+}
+
+function parseAssetAmount(text, decimals) {
+  // '12.5' at 2 decimals -> 1250 units, by string so no float error;
+  // null when malformed or finer than the asset allows
+  const match = /^(\d+)(?:\.(\d*))?$/.exec(String(text).trim());
+  if (!match || (match[2] || '').length > decimals) return null;
+  const units = Number(match[1] + (match[2] || '').padEnd(decimals, '0'));
+  return Number.isSafeInteger(units) ? units : null;
+}
+
+function formatAssetAmount(units, decimals) {
+  const digits = String(Math.abs(units)).padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const sign = units < 0 ? '-' : '';
+  return decimals === 0 ? `${sign}${whole}` : `${sign}${whole}.${digits.slice(-decimals)}`;
+}
+
+function isSystemAccount(account) {
+  return Object.values(SLIP_ACCOUNT).includes(account.split('#')[0]);
+}
+
+function slipEntries(tx) {
+  // Double-entry legs of a transaction (amounts sum to zero). Records from
+  // before double-entry carry none, so they are read off type/from/to.
+  if (Array.isArray(tx.entries)) return tx.entries;
+  const asset = txAsset(tx);
+  return slipLegs(tx).map(({ account, amount }) => ({ account: assetAccount(account, asset), amount }));
+}
+
+function slipLegs(tx) {
+  if (tx.type === SLIP_TX_TYPE.TRANSFER) {
+    // Transfers with a slip note leave this ledger; the recipient's
+    // kernel credits them when the note is imported
+    return [
+      { account: tx.from, amount: -tx.amount },
+      { account: tx.note ? SLIP_ACCOUNT.OUTBOUND : tx.to, amount: tx.amount }
+    ];
   }
-  if (trimmed.startsWith('pulse://')) {
-    const rest = trimmed.slice(8);
-    const parts = rest.split('/');
-    return parts.length >= 2 
-      ? { scheme: URI_SCHEMES.PULSE, sequence: parts[0], hash: parts.slice(1).join('/') }
-      : { scheme: URI_SCHEMES.PULSE, hash: rest };
+  if (tx.type === SLIP_TX_TYPE.RECEIVE) {
+    return [{ account: SLIP_ACCOUNT.INBOUND, amount: -tx.amount }, { account: tx.to, amount: tx.amount }];
   }
-  if (trimmed.startsWith('ipfs://')) {
-    return { scheme: URI_SCHEMES.IPFS, hash: trimmed.slice(7) };
+  if (tx.type === SLIP_TX_TYPE.ESCROW_LOCK) {
+    return [{ account: tx.from, amount: -tx.amount }, { account: SLIP_ACCOUNT.ESCROW, amount: tx.amount }];
   }
-  if (trimmed.startsWith('slip://')) {
-    return { scheme: URI_SCHEMES.SLIP, hash: trimmed.slice(7) };
+  if (tx.type === SLIP_TX_TYPE.ESCROW_RELEASE) {
+    return [
+      { account: SLIP_ACCOUNT.ESCROW, amount: -tx.amount },
+      { account: tx.note ? SLIP_ACCOUNT.OUTBOUND : tx.to, amount: tx.amount }
+    ];
   }
-  if (trimmed.startsWith('feed://')) {
-    return { scheme: URI_SCHEMES.FEED, hash: trimmed.slice(7) };
+  if (tx.type === SLIP_TX_TYPE.ESCROW_REFUND) {
+    return [{ account: SLIP_ACCOUNT.ESCROW, amount: -tx.amount }, { account: tx.to, amount: tx.amount }];
   }
-  if (trimmed.startsWith('channel://')) {
-    return { scheme: URI_SCHEMES.CHANNEL, hash: trimmed.slice(10) };
+  if (tx.type === SLIP_TX_TYPE.BURN) {
+    return [{ account: tx.from, amount: -tx.amount }, { account: SLIP_ACCOUNT.BURNED, amount: tx.amount }];
   }
-  
-  return null;
+  return [{ account: SLIP_ACCOUNT.ISSUANCE, amount: -tx.amount }, { account: tx.to, amount: tx.amount }];
 }
 
-// ============================================
-// STORAGE LAYER (Kernel-Owned State)
-// ============================================
-
-const STORAGE_KEYS = Object.freeze({
-  KERNEL_META: 'xhe_kernel_meta',
-  IDENTITY: 'xhe_kernel_identity',
-  IDENTITY_HISTORY: 'xhe_kernel_identity_history',
-  CONTENT_STORE: 'xhe_kernel_content',
-  PULSE_STORE: 'xhe_kernel_pulses',
-  PULSE_SEQUENCE: 'xhe_kernel_pulse_seq',
-  ADDRESS_INDEX: 'xhe_kernel_address_index',
-  SLIP_LEDGER: 'xhe_kernel_slips',
-  SOCIAL_GRAPH: 'xhe_kernel_social',
-  FEEDS: 'xhe_kernel_feeds',
-  CHANNELS: 'xhe_kernel_channels'
-});
+function slipTransaction(type, fields) {
+  const id = randomHex(16);
+  const tx = {
+    id,
+    type,
+    ...fields,
+    timestamp: fields.timestamp || timestamp(),
+    address: `slip://${id}`
+  };
+  return { ...tx, entries: slipEntries(tx) };
+}
 
-function loadState(key, defaultValue = null) {
-  try {
-    const stored = localStorage.getItem(key);
-    return stored ? JSON.parse(stored) : defaultValue;
-  } catch (e) {
-    console.error('[KERNEL] Storage read error:', e);
-    return defaultValue;
-  }
+function deriveBalances(transactions) {
+  // Balances are a fold over the log; the stored ones must match this
+  const balances = {};
+  transactions.forEach(tx => slipEntries(tx).forEach(({ account, amount }) => {
+    balances[account] = (balances[account] || 0) + amount;
+  }));
+  return balances;
 }
 
-function saveState(key, value) {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-  } catch (e) {
-    console.error('[KERNEL] Storage write error:', e);
-  }
+function ledgerIssue(type, fields, message) {
+  return { type, ...fields, message };
 }
 
 // ============================================
-// XHE KERNEL CLASS
+// SLIP SUPPLY POLICY (Monetary Rules)
 // ============================================
 
-class XHEKernel {
-  constructor() {
-    this._listeners = {};
-    this._initializeKernel();
-  }
+const SUPPLY_ERROR = Object.freeze({
+  NOT_AUTHORIZED: 'NOT_AUTHORIZED', // Identity is not a mint authority
+  MAX_SUPPLY: 'MAX_SUPPLY',         // Mint would take supply past maxSupply
+  PERIOD_CAP: 'PERIOD_CAP',         // Mint would exceed the rolling period cap
+  BAD_POLICY: 'BAD_POLICY',         // Policy field out of range
+  SELF_LOCKOUT: 'SELF_LOCKOUT'      // Policy would remove the setter's own authority
+});
 
-  // ============================================
-  // KERNEL INITIALIZATION (Deterministic)
-  // ============================================
+// An unconfigured kernel keeps open minting
+const DEFAULT_SUPPLY_POLICY = Object.freeze({
+  maxSupply: null,        // Cap on circulating supply (null: none)
+  mintAuthorities: [],    // DIDs allowed to mint (empty: any identity)
+  periodCap: null,        // { amount, periodMs }: MINTs per rolling window
+  schedule: null          // { amount, intervalMs, to, nextAt }: automatic MINTs
+});
 
-  _initializeKernel() {
-    // Load or create kernel metadata
-    this.kernelMeta = loadState(STORAGE_KEYS.KERNEL_META, null);
-    
-    const isNewKernel = !this.kernelMeta;
-    
-    if (isNewKernel) {
-      this.kernelMeta = {
-        version: '1.0.0',
-        created: timestamp(),
-        lastActive: timestamp()
-      };
-      saveState(STORAGE_KEYS.KERNEL_META, this.kernelMeta);
-    } else {
-      this.kernelMeta.lastActive = timestamp();
-      saveState(STORAGE_KEYS.KERNEL_META, this.kernelMeta);
-    }
+// setTimeout overflows past 2^31 - 1 ms; longer waits re-arm on expiry
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
-    // Load pulse sequence (MONOTONIC, PERSISTED)
-    this._pulseSequence = loadState(STORAGE_KEYS.PULSE_SEQUENCE, 0);
-    
-    // Load identity (current and history)
-    this.identity = this._loadOrCreateIdentity(isNewKernel);
-    this.identityHistory = loadState(STORAGE_KEYS.IDENTITY_HISTORY, []);
-    
-    // Load kernel-owned stores
-    this.contentStore = loadState(STORAGE_KEYS.CONTENT_STORE, {});
-    this.pulseStore = loadState(STORAGE_KEYS.PULSE_STORE, {});
-    this.addressIndex = loadState(STORAGE_KEYS.ADDRESS_INDEX, {});
-    
-    // Load economic layer (slips)
-    this.slipLedger = loadState(STORAGE_KEYS.SLIP_LEDGER, {
-      balances: {},
-      transactions: []
-    });
-    
-    // Ensure identity has genesis slips
-    if (!this.slipLedger.balances[this.identity.did]) {
-      this.slipLedger.balances[this.identity.did] = 100;
-      saveState(STORAGE_KEYS.SLIP_LEDGER, this.slipLedger);
-    }
-    
-    // Load social layer
-    this.socialGraph = loadState(STORAGE_KEYS.SOCIAL_GRAPH, {
-      following: [],
-      followers: [],
-      blocked: []
-    });
-    this.feeds = loadState(STORAGE_KEYS.FEEDS, {});
-    this.channels = loadState(STORAGE_KEYS.CHANNELS, {});
+function supplyError(code, message) {
+  const error = new Error(message);
+  error.supply = code;
+  return error;
+}
 
-    // Emit kernel init pulse (if new kernel)
-    if (isNewKernel) {
-      this._emitPulseSync(PULSE_TYPE.KERNEL_INIT, {
-        version: this.kernelMeta.version,
-        identity: this.identity.did
-      });
-    }
-  }
+function normalizeSupplyPolicy(policy) {
+  // Validated copy of a policy; throws BAD_POLICY on the first bad field
+  const bad = (message) => supplyError(SUPPLY_ERROR.BAD_POLICY, message);
+  const positive = (value) => Number.isSafeInteger(value) && value > 0;
+  const { maxSupply, mintAuthorities, periodCap, schedule } = policy;
 
-  _loadOrCreateIdentity(isNewKernel) {
-    const stored = loadState(STORAGE_KEYS.IDENTITY);
-    if (stored && stored.did) {
-      return stored;
+  if (maxSupply !== null && !positive(maxSupply)) throw bad('maxSupply must be a positive integer or null');
+  if (!Array.isArray(mintAuthorities) || !mintAuthorities.every(did => /^did:xhe:[0-9a-f]{32}$/.test(did))) {
+    throw bad('mintAuthorities must be a list of did:xhe identities');
+  }
+  if (periodCap !== null && !(positive(periodCap?.amount) && positive(periodCap?.periodMs))) {
+    throw bad('periodCap needs a positive integer amount and periodMs');
+  }
+  if (schedule !== null) {
+    if (!(positive(schedule?.amount) && positive(schedule?.intervalMs))) {
+      throw bad('schedule needs a positive integer amount and intervalMs');
     }
-    return this._createIdentity(isNewKernel);
+    if (!/^did:xhe:[0-9a-f]{32}$/.test(schedule.to)) throw bad('schedule.to must be a did:xhe identity');
+    if (Number.isNaN(Date.parse(schedule.nextAt))) throw bad('schedule.nextAt must be a timestamp');
   }
 
-  _createIdentity(emitPulse = true) {
-    const id = randomHex(32);
-    const identity = {
-      did: `did:xhe:${id}`,
-      publicKey: randomHex(64),
-      created: timestamp(),
-      version: 1
-    };
-    saveState(STORAGE_KEYS.IDENTITY, identity);
-    
-    // Initialize slip balance for new identity
-    if (!this.slipLedger.balances[identity.did]) {
-      this.slipLedger.balances[identity.did] = 100; // Genesis slips
-      saveState(STORAGE_KEYS.SLIP_LEDGER, this.slipLedger);
+  return {
+    maxSupply,
+    mintAuthorities: [...new Set(mintAuthorities)],
+    periodCap: periodCap && { amount: periodCap.amount, periodMs: periodCap.periodMs },
+    schedule: schedule && {
+      amount: schedule.amount,
+      intervalMs: schedule.intervalMs,
+      to: schedule.to,
+      nextAt: schedule.nextAt
     }
-    
-    if (emitPulse) {
-      this._emitPulseSync(PULSE_TYPE.IDENTITY_CREATE, { did: identity.did });
+  };
+}
+
+// ============================================
+// SLIP ESCROW (Conditional Payments)
+// ============================================
+
+const ESCROW_STATUS = Object.freeze({
+  LOCKED: 'LOCKED',
+  RELEASED: 'RELEASED',
+  REFUNDED: 'REFUNDED'
+});
+
+// A pulse condition watches this kernel's own pulse log, so it fires on
+// something the escrow's creator does (e.g. "when I reply to post X");
+// a recipient's pulses live on their kernel and never satisfy it
+const ESCROW_CONDITION = Object.freeze({
+  PULSE: 'pulse',         // { type, pulseType, match }: a later pulse of that type
+  HASHLOCK: 'hashlock'    // { type, hash }: the sha256 preimage is revealed
+});
+
+function normalizeEscrowCondition(condition) {
+  if (condition?.type === ESCROW_CONDITION.PULSE) {
+    if (!Object.values(PULSE_TYPE).includes(condition.pulseType)) {
+      throw new Error(`Unknown pulse type: ${condition.pulseType}`);
     }
-    
-    return identity;
+    const match = condition.match || {};
+    if (typeof match !== 'object' || Array.isArray(match)) throw new Error('Condition match must be an object');
+    return { type: ESCROW_CONDITION.PULSE, pulseType: condition.pulseType, match: { ...match } };
   }
+  if (condition?.type === ESCROW_CONDITION.HASHLOCK) {
+    if (!/^[0-9a-f]{64}$/.test(condition.hash)) throw new Error('Hashlock needs a sha256 hex hash');
+    return { type: ESCROW_CONDITION.HASHLOCK, hash: condition.hash };
+  }
+  throw new Error('Escrow condition must be a pulse or hashlock condition');
+}
 
-  // ============================================
-  // PULSE SYSTEM (Monotonic, Deterministic)
-  // ============================================
+function escrowPulseMatches(escrow, pulse) {
+  // Only pulses after the escrow was created can satisfy it
+  const { pulseType, match } = escrow.condition;
+  return pulse.type === pulseType
+    && Number(pulse.sequence) > escrow.afterSequence
+    && Object.entries(match).every(([key, value]) => pulse.payload?.[key] === value);
+}
 
-  _getNextSequence() {
-    this._pulseSequence++;
-    saveState(STORAGE_KEYS.PULSE_SEQUENCE, this._pulseSequence);
-    return String(this._pulseSequence).padStart(8, '0');
-  }
+// ============================================
+// SLIP SUBSCRIPTIONS (Recurring Payments)
+// ============================================
 
-  async _emitPulse(type, payload) {
-    const sequence = this._getNextSequence();
-    const ts = timestamp();
-    
-    const pulse = {
-      type,
-      payload,
-      timestamp: ts,
-      author: this.identity.did,
-      sequence,
-      kernelVersion: this.kernelMeta.version
-    };
+const SUBSCRIPTION_STATUS = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  PAUSED: 'PAUSED',
+  CANCELLED: 'CANCELLED'
+});
 
-    const pulseContent = JSON.stringify(pulse);
-    const hash = await sha256(pulseContent);
-    
-    const pulseId = `${sequence}/${hash}`;
-    const address = `pulse://${pulseId}`;
+// Payment outcomes kept per subscription; older ones live on in the ledger
+const SUBSCRIPTION_HISTORY_LIMIT = 50;
+const SUBSCRIPTION_MIN_INTERVAL = 60 * 1000;
+// Overdue periods paid per subscription on one run; older ones are missed
+const SUBSCRIPTION_CATCH_UP_LIMIT = 10;
 
-    const storedPulse = {
-      ...pulse,
-      hash,
-      address,
-      id: pulseId
-    };
+// ============================================
+// SLIP NOTES (Portable Signed Transfers)
+// ============================================
 
-    this.pulseStore[pulseId] = storedPulse;
-    saveState(STORAGE_KEYS.PULSE_STORE, this.pulseStore);
+/*
+ * A slip note is one signed transfer. Each sender's notes form a chain
+ * (nonce 1, 2, ... linked by prev), and a note cites as `inputs` the
+ * notes it received and now spends. Slips issued to an identity (genesis,
+ * mints) enter its chain as an issuance note addressed to itself. A
+ * sender's provable balance after note n is its issuance notes plus the
+ * inputs cited by notes 1..n, minus the amounts it sent. A recipient
+ * counts all issuance only from identities its supply policy lists as
+ * mint authorities; any other identity proves just its one genesis of
+ * at most GENESIS_SLIPS. Received slips count against the recipient's
+ * maxSupply. An exported note carries every note it
+ * depends on, so the recipient can check the whole history without
+ * trusting the sender.
+ */
 
-    // Emit kernel event (console listens to this)
-    this._emit('kernel:pulse', storedPulse);
+const SLIP_NOTE_FORMAT = 'xhe-slip-note';
+const SLIP_NOTE_VERSION = 1;
+const DID_PATTERN = /^did:xhe:[0-9a-f]{32}$/;
+
+function slipNoteBody(note) {
+  // Canonical field order: the note hash and signature cover exactly this
+  return {
+    version: note.version,
+    from: note.from,
+    to: note.to,
+    amount: note.amount,
+    memo: note.memo,
+    nonce: note.nonce,
+    prev: note.prev,
+    inputs: note.inputs,
+    timestamp: note.timestamp,
+    // Absent on slip notes, so notes from before assets hash unchanged
+    asset: note.asset,
+    decimals: note.decimals
+  };
+}
 
-    return { pulseId, address, pulse: storedPulse };
+function isIssuanceNote(note) {
+  // A note from an identity to itself records slips issued to it
+  return note.from === note.to;
+}
+
+function provableIssuance(issuanceNotes, from, mintAuthorities) {
+  // Slips an identity's issuance notes prove: all of them for a listed
+  // mint authority (an open policy lists nobody), else only its first
+  // genesis, which can never exceed GENESIS_SLIPS
+  if (mintAuthorities.includes(from)) {
+    return issuanceNotes.reduce((total, note) => total + note.amount, 0);
   }
+  const genesis = issuanceNotes.find(note => note.memo === SLIP_TX_TYPE.GENESIS);
+  return genesis ? Math.min(genesis.amount, GENESIS_SLIPS) : 0;
+}
 
-  _emitPulseSync(type, payload) {
-    // Synchronous version for init
-    const sequence = this._getNextSequence();
-    const ts = timestamp();
-    
-    const pulse = {
-      type,
-      payload,
-      timestamp: ts,
-      author: this.identity?.did || 'kernel',
-      sequence,
-      kernelVersion: this.kernelMeta?.version || '1.0.0'
-    };
+async function verifySlipNotes(notes, mintAuthorities = []) {
+  // Checks a closed set of notes { hash: note }: hashes, owner signatures,
+  // nonce chains, single use of inputs and every sender's provable balance
+  // in each asset. Issuance counts as provableIssuance() allows; an
+  // asset's issuer issues it, so the issuer's own notes in it need no
+  // balance. Returns null when all hold, else the first problem found.
+  const chains = new Map();
+  const keyOwners = new Map();
+  const assetDecimals = new Map([[DEFAULT_ASSET, undefined]]);
+
+  for (const [hash, note] of Object.entries(notes)) {
+    if (note?.version !== SLIP_NOTE_VERSION) return `Note ${hash} has an unknown version`;
+    if (!DID_PATTERN.test(note.from) || !DID_PATTERN.test(note.to)) return `Note ${hash} has a malformed DID`;
+    if (!Number.isSafeInteger(note.amount) || note.amount <= 0) return `Note ${hash} has a bad amount`;
+    if (note.asset !== undefined) {
+      const [issuer, symbol] = String(note.asset).split('/');
+      if (!DID_PATTERN.test(issuer) || !ASSET_SYMBOL_PATTERN.test(symbol || '')
+        || !Number.isInteger(note.decimals) || note.decimals < 0 || note.decimals > MAX_ASSET_DECIMALS) {
+        return `Note ${hash} names a malformed asset`;
+      }
+    }
+    const asset = txAsset(note);
+    if (!assetDecimals.has(asset)) assetDecimals.set(asset, note.decimals);
+    if (assetDecimals.get(asset) !== note.decimals) return `Notes disagree on the decimals of ${asset}`;
+    if (!Number.isInteger(note.nonce) || note.nonce < 1 || !Array.isArray(note.inputs)) {
+      return `Note ${hash} has a bad nonce or inputs`;
+    }
+    if (await sha256(JSON.stringify(slipNoteBody(note))) !== hash || note.hash !== hash) {
+      return `Note ${hash} does not match its hash`;
+    }
 
-    const pulseContent = JSON.stringify(pulse);
-    // Use simple hash for sync (will be replaced by proper hash on next async call)
-    const hash = btoa(pulseContent).slice(0, 32);
-    
-    const pulseId = `${sequence}/${hash}`;
-    
-    if (!this.pulseStore) this.pulseStore = {};
-    this.pulseStore[pulseId] = {
-      ...pulse,
-      hash,
-      address: `pulse://${pulseId}`,
-      id: pulseId
-    };
-    saveState(STORAGE_KEYS.PULSE_STORE, this.pulseStore);
+    const jwkKey = JSON.stringify(note.publicKeyJwk);
+    if (!keyOwners.has(jwkKey)) keyOwners.set(jwkKey, await didForPublicKey(note.publicKeyJwk));
+    if (keyOwners.get(jwkKey) !== note.from) return `Note ${hash} carries a key that is not ${note.from}'s`;
+    if (!(await verifySignature(note.publicKeyJwk, hash, note.signature))) {
+      return `Note ${hash} signature does not verify for ${note.from}`;
+    }
+
+    if (!chains.has(note.from)) chains.set(note.from, []);
+    chains.get(note.from).push(note);
   }
 
-  // ============================================
-  // IDENTITY (Kernel Authority)
-  // ============================================
+  for (const [from, chain] of chains) {
+    chain.sort((a, b) => a.nonce - b.nonce);
+    const spent = new Set();
+    const provable = {};
+    const issued = [];
+    let prev = null;
 
-  getDID() {
-    return this.identity.did;
+    for (const [i, note] of chain.entries()) {
+      if (note.nonce !== i + 1 || note.prev !== prev) {
+        return `${from} has no unbroken note chain up to nonce ${note.nonce}`;
+      }
+      prev = note.hash;
+      if (isIssuanceNote(note)) {
+        if (note.inputs.length > 0 || note.asset !== undefined) return `Note ${note.hash} is a malformed issuance`;
+        const before = provableIssuance(issued, from, mintAuthorities);
+        issued.push(note);
+        provable[DEFAULT_ASSET] = (provable[DEFAULT_ASSET] || 0)
+          + provableIssuance(issued, from, mintAuthorities) - before;
+        continue;
+      }
+      for (const input of note.inputs) {
+        if (spent.has(input)) return `${from} spends note ${input} twice`;
+        if (notes[input]?.to !== from || isIssuanceNote(notes[input])) {
+          return `Note ${note.hash} cites ${input}, which is not a note to ${from}`;
+        }
+        spent.add(input);
+        const inputAsset = txAsset(notes[input]);
+        provable[inputAsset] = (provable[inputAsset] || 0) + notes[input].amount;
+      }
+      const asset = txAsset(note);
+      provable[asset] = (provable[asset] || 0) - note.amount;
+      if (provable[asset] < 0 && asset.split('/')[0] !== from) {
+        return `${from} cannot prove the balance for note ${note.nonce}`;
+      }
+    }
   }
 
-  getIdentity() {
-    return { ...this.identity };
-  }
+  return null;
+}
 
-  getIdentityHistory() {
-    return [...this.identityHistory];
+// ============================================
+// CRYPTO UTILITIES (Pure Functions)
+// ============================================
+
+async function sha256(content) {
+  const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  return bytesToHex(new Uint8Array(hashBuffer));
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
   }
+  return bytes;
+}
 
-  async regenerateIdentity() {
-    // Archive current identity (maintains audit trail)
-    this.identityHistory.push({
-      ...this.identity,
-      archivedAt: timestamp(),
-      reason: 'USER_REGENERATE'
-    });
-    saveState(STORAGE_KEYS.IDENTITY_HISTORY, this.identityHistory);
-    
-    // Create new identity
-    const oldDid = this.identity.did;
-    this.identity = this._createIdentity(false);
-    
-    // Emit pulse (links old to new for auditability)
-    await this._emitPulse(PULSE_TYPE.IDENTITY_REGENERATE, {
-      oldDid,
-      newDid: this.identity.did,
-      historyLength: this.identityHistory.length
-    });
-    
-    this._emit('kernel:identity:changed', {
-      oldDid,
-      newDid: this.identity.did,
-      history: this.identityHistory
-    });
+function bytesToBase64(bytes) {
+  // Built in slices: spreading a large array into fromCharCode overflows the stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
 
-    return this.getIdentity();
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
   }
+  return bytes;
+}
 
-  // ============================================
-  // ADDRESS GENERATION (Kernel Authority ONLY)
-  // ============================================
+function randomHex(length = 32) {
+  const array = new Uint8Array(length / 2);
+  crypto.getRandomValues(array);
+  return bytesToHex(array);
+}
 
-  async generateAddress(content, scheme = 'xhe', options = {}) {
-    if (!content || typeof content !== 'string') {
-      throw new Error('Content must be a non-empty string');
-    }
+function pulseBody(pulse) {
+  // Canonical field order: the pulse hash is taken over exactly this shape
+  return {
+    type: pulse.type,
+    payload: pulse.payload,
+    timestamp: pulse.timestamp,
+    author: pulse.author,
+    sequence: pulse.sequence,
+    kernelVersion: pulse.kernelVersion,
+    prevHash: pulse.prevHash
+  };
+}
 
-    const hash = await sha256(content);
-    const ts = timestamp();
-    let address;
+function nameVersionBody(version) {
+  // Canonical field order: a name version's hash and signature cover
+  // exactly this shape
+  return {
+    name: version.name,
+    version: version.version,
+    target: version.target,
+    timestamp: version.timestamp,
+    author: version.author,
+    prevHash: version.prevHash
+  };
+}
 
-    switch (scheme) {
-      case URI_SCHEMES.XHE:
-        address = `xhe://${hash}`;
-        break;
-      case URI_SCHEMES.DID_XHE:
-        address = `did:xhe:${hash.slice(0, 32)}`;
-        break;
-      case URI_SCHEMES.PULSE:
-        const sequence = options.sequence || this._getNextSequence();
-        address = `pulse://${sequence}/${hash}`;
+function nameVersionInfo(version) {
+  // Public view of one version; `address` pins it with ?v=
+  return {
+    address: `${version.name}?v=${version.version}`,
+    name: version.name,
+    version: version.version,
+    target: version.target,
+    timestamp: version.timestamp,
+    hash: version.hash
+  };
+}
+
+function timestamp() {
+  return new Date().toISOString();
+}
+
+function timeString() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+// ============================================
+// CONTENT IDENTIFIERS (IPFS Multiformats)
+// ============================================
+
+const CID_CODEC = Object.freeze({
+  RAW: 0x55,      // Single-chunk content, the bytes themselves
+  DAG_PB: 0x70    // UnixFS file node linking its chunks
+});
+
+const MULTIHASH_SHA2_256 = 0x12;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function encodeVarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+function decodeVarint(bytes, offset) {
+  // Returns [value, next offset]
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (offset >= bytes.length) throw new Error('Truncated varint');
+    byte = bytes[offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return [value, offset];
+}
+
+function base32Encode(bytes) {
+  // RFC 4648 lowercase, no padding (multibase 'b')
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+function base58Decode(text) {
+  // Bitcoin alphabet (multibase 'z', implicit in CIDv0)
+  const bytes = [0];
+  for (const char of text) {
+    const index = BASE58_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    let carry = index;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (const char of text) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+  return new Uint8Array(bytes.reverse());
+}
+
+function cidBytes(codec, digestHex) {
+  // <version 1><codec><multihash: sha2-256, 32-byte digest>
+  const digest = hexToBytes(digestHex);
+  return new Uint8Array([
+    ...encodeVarint(1),
+    ...encodeVarint(codec),
+    MULTIHASH_SHA2_256,
+    digest.length,
+    ...digest
+  ]);
+}
+
+function encodeCid(codec, digestHex) {
+  return 'b' + base32Encode(cidBytes(codec, digestHex));
+}
+
+function decodeCid(text) {
+  // CIDv0 ('Qm...', base58btc multihash, always dag-pb) or CIDv1 (base32
+  // 'b...'); returns { version, codec, hash } or null. Only sha2-256
+  // raw/dag-pb CIDs can name kernel content.
+  let bytes;
+  let version;
+  let codec;
+  let offset = 0;
+
+  try {
+    if (text.length === 46 && text.startsWith('Qm')) {
+      bytes = base58Decode(text);
+      version = 0;
+      codec = CID_CODEC.DAG_PB;
+    } else if (text.startsWith('b')) {
+      bytes = base32Decode(text.slice(1));
+      if (!bytes) return null;
+      [version, offset] = decodeVarint(bytes, offset);
+      [codec, offset] = decodeVarint(bytes, offset);
+      if (version !== 1) return null;
+    } else {
+      return null;
+    }
+    if (!bytes || !Object.values(CID_CODEC).includes(codec)) return null;
+
+    let hashCode;
+    let length;
+    [hashCode, offset] = decodeVarint(bytes, offset);
+    [length, offset] = decodeVarint(bytes, offset);
+    if (hashCode !== MULTIHASH_SHA2_256 || length !== 32 || bytes.length !== offset + length) {
+      return null;
+    }
+    return { version, codec, hash: bytesToHex(bytes.subarray(offset)) };
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================
+// SIGNING KEYS (WebCrypto)
+// ============================================
+
+const SIGNING_ALGORITHM = Object.freeze({
+  ED25519: 'Ed25519',
+  ECDSA_P256: 'ECDSA-P256'
+});
+
+function keyParams(algorithm) {
+  return algorithm === SIGNING_ALGORITHM.ED25519
+    ? { name: 'Ed25519' }
+    : { name: 'ECDSA', namedCurve: 'P-256' };
+}
+
+function signParams(algorithm) {
+  return algorithm === SIGNING_ALGORITHM.ED25519
+    ? { name: 'Ed25519' }
+    : { name: 'ECDSA', hash: 'SHA-256' };
+}
+
+function algorithmForJwk(jwk) {
+  return jwk.crv === 'Ed25519' ? SIGNING_ALGORITHM.ED25519 : SIGNING_ALGORITHM.ECDSA_P256;
+}
+
+async function generateSigningKeyPair() {
+  // Ed25519 preferred; ECDSA P-256 where the runtime lacks it.
+  // Private keys are non-extractable: they never leave the key store.
+  for (const algorithm of [SIGNING_ALGORITHM.ED25519, SIGNING_ALGORITHM.ECDSA_P256]) {
+    try {
+      const keyPair = await crypto.subtle.generateKey(keyParams(algorithm), false, ['sign', 'verify']);
+      return { algorithm, privateKey: keyPair.privateKey, publicKey: keyPair.publicKey };
+    } catch (e) {
+      // Algorithm unsupported, try the next one
+    }
+  }
+  throw new Error('No supported signing algorithm (Ed25519 or ECDSA P-256)');
+}
+
+async function signData(privateKey, algorithm, data) {
+  const signature = await crypto.subtle.sign(
+    signParams(algorithm),
+    privateKey,
+    new TextEncoder().encode(data)
+  );
+  return bytesToHex(new Uint8Array(signature));
+}
+
+async function verifySignature(publicKeyJwk, data, signature) {
+  if (!publicKeyJwk || typeof signature !== 'string') return false;
+  try {
+    const algorithm = algorithmForJwk(publicKeyJwk);
+    const key = await crypto.subtle.importKey('jwk', publicKeyJwk, keyParams(algorithm), true, ['verify']);
+    return await crypto.subtle.verify(
+      signParams(algorithm),
+      key,
+      hexToBytes(signature),
+      new TextEncoder().encode(data)
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+async function didForPublicKey(publicKeyJwk) {
+  // did:xhe ids are derived from the raw public key (see _createIdentity),
+  // so a record carrying its owner's key is self-certifying
+  try {
+    const algorithm = algorithmForJwk(publicKeyJwk);
+    const key = await crypto.subtle.importKey('jwk', publicKeyJwk, keyParams(algorithm), true, ['verify']);
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    return `did:xhe:${(await sha256(raw)).slice(0, 32)}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function buildDIDDocument(identity) {
+  const methods = identity.publicKeyJwk ? [{
+    id: identity.keyId,
+    type: 'JsonWebKey2020',
+    controller: identity.did,
+    publicKeyJwk: identity.publicKeyJwk
+  }] : [];
+
+  return {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      'https://w3id.org/security/suites/jws-2020/v1'
+    ],
+    id: identity.did,
+    controller: identity.did,
+    verificationMethod: methods,
+    authentication: methods.map(m => m.id),
+    assertionMethod: methods.map(m => m.id),
+    created: identity.created
+  };
+}
+
+// ============================================
+// INDEXEDDB HELPERS
+// ============================================
+
+function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    request.onsuccess = () => {
+      // Step aside when another tab opens a newer schema version
+      request.result.onversionchange = () => request.result.close();
+      resolve(request.result);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransaction(db, storeNames, mode, fn) {
+  // Resolves once the transaction commits; `fn` may return a request
+  // whose result becomes the resolved value
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const result = fn(tx);
+    tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+// ============================================
+// KEY STORE (Non-Extractable Private Keys)
+// ============================================
+
+const KEY_STORE_DB = 'xhe_kernel_keys';
+const KEY_STORE_NAME = 'keys';
+
+function createKeyStore() {
+  // CryptoKey objects survive structured clone, so IndexedDB can hold them
+  // without ever exporting the private key material.
+  if (typeof indexedDB === 'undefined') {
+    const keys = new Map();
+    return {
+      persistent: false,
+      get: async (did) => keys.get(did) || null,
+      put: async (did, keyPair) => { keys.set(did, keyPair); }
+    };
+  }
+
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(KEY_STORE_DB, 1, db => db.createObjectStore(KEY_STORE_NAME));
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, fn) => idbTransaction(
+    await open(), KEY_STORE_NAME, mode, tx => fn(tx.objectStore(KEY_STORE_NAME))
+  );
+
+  return {
+    persistent: true,
+    get: async (did) => (await run('readonly', store => store.get(did))) || null,
+    put: async (did, keyPair) => { await run('readwrite', store => store.put(keyPair, did)); }
+  };
+}
+
+// ============================================
+// URI GRAMMAR (Pure Parser + Serializer)
+// ============================================
+
+/*
+ * <prefix><id>[/<segment>...][?<key>=<value>&...][#<fragment>]
+ *
+ * The id is scheme-specific (each scheme's parse); the path selects a
+ * sub-resource inside what the id resolves to, `?v=<n>` asks for a version
+ * and the fragment names a node by id (e.g. a DID verification method).
+ * Path segments, query and fragment are percent-encoded.
+ */
+
+const ADDRESS_ERROR = Object.freeze({
+  EMPTY: 'EMPTY',                       // Not a string, or blank
+  UNKNOWN_SCHEME: 'UNKNOWN_SCHEME',     // No known scheme prefix
+  MISSING_ID: 'MISSING_ID',             // Scheme prefix with no identifier
+  BAD_HASH_LENGTH: 'BAD_HASH_LENGTH',   // Hash is not the length the scheme needs
+  BAD_HASH_CHARSET: 'BAD_HASH_CHARSET', // Hash is not lowercase hex
+  BAD_CID: 'BAD_CID',                   // Not a sha2-256 raw/dag-pb CIDv0 or CIDv1
+  BAD_SEQUENCE: 'BAD_SEQUENCE',         // Pulse sequence is not a decimal number
+  BAD_ID: 'BAD_ID',                     // Record id outside [A-Za-z0-9_-]
+  BAD_PATH: 'BAD_PATH',                 // Empty segment or illegal character in path
+  BAD_QUERY: 'BAD_QUERY',               // Malformed or repeated query parameter
+  BAD_VERSION: 'BAD_VERSION',           // ?v= is not a positive integer
+  BAD_FRAGMENT: 'BAD_FRAGMENT',         // Illegal character in fragment
+  BAD_ENCODING: 'BAD_ENCODING',         // Broken percent-encoding
+  NO_SUB_RESOURCES: 'NO_SUB_RESOURCES'  // Path/fragment on a resource without structure
+});
+
+// RFC 3986 pchar (unreserved, sub-delims, ':' '@', percent-encoded);
+// query and fragment also allow '/' and '?'
+const PATH_SEGMENT_PATTERN = /^(?:[A-Za-z0-9\-._~!$&'()*+,;=:@]|%[0-9A-Fa-f]{2})*$/;
+const QUERY_PATTERN = /^(?:[A-Za-z0-9\-._~!$&'()*+,;=:@/?]|%[0-9A-Fa-f]{2})*$/;
+const RECORD_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const NAME_LABEL_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+function addressError(reason, error) {
+  return { valid: false, reason, error };
+}
+
+function hexHash(length, label) {
+  // Identifier rule for a lowercase hex digest of fixed length
+  return (segments) => {
+    const hash = segments[0];
+    if (!/^[0-9a-f]+$/.test(hash)) {
+      return addressError(ADDRESS_ERROR.BAD_HASH_CHARSET, `${label} must be lowercase hex`);
+    }
+    if (hash.length !== length) {
+      return addressError(ADDRESS_ERROR.BAD_HASH_LENGTH, `${label} must be ${length} hex characters, got ${hash.length}`);
+    }
+    return { hash, used: 1 };
+  };
+}
+
+function recordId(label) {
+  return (segments) => RECORD_ID_PATTERN.test(segments[0])
+    ? { hash: segments[0], used: 1 }
+    : addressError(ADDRESS_ERROR.BAD_ID, `${label} id may only contain letters, digits, '_' and '-'`);
+}
+
+function decodeComponent(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseQuery(text) {
+  const query = {};
+  if (!text) return query;
+
+  for (const pair of text.split('&')) {
+    const [rawKey, ...rest] = pair.split('=');
+    const key = decodeComponent(rawKey);
+    const value = decodeComponent(rest.join('='));
+    if (key === null || value === null) {
+      return addressError(ADDRESS_ERROR.BAD_ENCODING, `Bad percent-encoding in query parameter "${pair}"`);
+    }
+    if (!key) return addressError(ADDRESS_ERROR.BAD_QUERY, 'Query parameter without a name');
+    if (Object.hasOwn(query, key)) {
+      return addressError(ADDRESS_ERROR.BAD_QUERY, `Query parameter "${key}" given twice`);
+    }
+    query[key] = value;
+  }
+  return query;
+}
+
+function validateAddress(address) {
+  // Full grammar check. Returns { valid: true, parsed } or
+  // { valid: false, reason: ADDRESS_ERROR.*, error }.
+  if (!address || typeof address !== 'string' || !address.trim()) {
+    return addressError(ADDRESS_ERROR.EMPTY, 'Address is empty');
+  }
+
+  const trimmed = address.trim();
+  const definition = findScheme(trimmed);
+  if (!definition) {
+    return addressError(ADDRESS_ERROR.UNKNOWN_SCHEME, `Unknown scheme in "${trimmed.slice(0, 20)}"`);
+  }
+  const { name: scheme, prefix, parse } = definition;
+
+  let rest = trimmed.slice(prefix.length);
+  let fragment = null;
+  let queryText = '';
+
+  const hashAt = rest.indexOf('#');
+  if (hashAt !== -1) {
+    const rawFragment = rest.slice(hashAt + 1);
+    rest = rest.slice(0, hashAt);
+    if (!QUERY_PATTERN.test(rawFragment)) {
+      return addressError(ADDRESS_ERROR.BAD_FRAGMENT, 'Illegal character in fragment');
+    }
+    fragment = decodeComponent(rawFragment);
+    if (fragment === null) return addressError(ADDRESS_ERROR.BAD_ENCODING, 'Bad percent-encoding in fragment');
+  }
+
+  const queryAt = rest.indexOf('?');
+  if (queryAt !== -1) {
+    queryText = rest.slice(queryAt + 1);
+    rest = rest.slice(0, queryAt);
+    if (!QUERY_PATTERN.test(queryText)) {
+      return addressError(ADDRESS_ERROR.BAD_QUERY, 'Illegal character in query');
+    }
+  }
+
+  if (!rest) return addressError(ADDRESS_ERROR.MISSING_ID, `Nothing after ${prefix}`);
+
+  const segments = rest.split('/');
+  if (segments.some(segment => !segment)) {
+    return addressError(ADDRESS_ERROR.BAD_PATH, 'Empty path segment');
+  }
+  if (!segments.every(segment => PATH_SEGMENT_PATTERN.test(segment))) {
+    return addressError(ADDRESS_ERROR.BAD_PATH, 'Illegal character in path');
+  }
+
+  const id = parse(segments);
+  if (!id || id.valid === false) {
+    return id || addressError(ADDRESS_ERROR.BAD_ID, `Not a valid ${scheme} identifier`);
+  }
+  if (!Number.isInteger(id.used) || id.used < 1 || id.used > segments.length) {
+    return addressError(ADDRESS_ERROR.BAD_ID, `${scheme} parse returned a bad segment count`);
+  }
+
+  const path = segments.slice(id.used).map(decodeComponent);
+  if (path.includes(null)) return addressError(ADDRESS_ERROR.BAD_ENCODING, 'Bad percent-encoding in path');
+
+  const query = parseQuery(queryText);
+  if (query.valid === false) return query;
+
+  let version = null;
+  if (Object.hasOwn(query, 'v')) {
+    if (!/^[1-9]\d*$/.test(query.v)) {
+      return addressError(ADDRESS_ERROR.BAD_VERSION, 'Version (?v=) must be a positive integer');
+    }
+    version = Number(query.v);
+  }
+
+  const { used, ...fields } = id;
+  return {
+    valid: true,
+    parsed: {
+      scheme,
+      ...fields,
+      // Canonical address of the resource itself, without path/query/fragment
+      base: prefix + segments.slice(0, used).join('/'),
+      path,
+      query,
+      version,
+      fragment
+    }
+  };
+}
+
+function parseAddress(address) {
+  const result = validateAddress(address);
+  return result.valid ? result.parsed : null;
+}
+
+function serializeAddress(parsed) {
+  // Inverse of parseAddress; the output is checked against the grammar
+  const { scheme, path = [], query = {}, version = null, fragment = null } = parsed;
+  const definition = SCHEME_REGISTRY.get(scheme);
+  if (!definition) throw new Error(`Unknown scheme: ${scheme}`);
+
+  const id = definition.formatId(parsed);
+
+  const params = { ...query, ...(version !== null && { v: String(version) }) };
+  const queryText = Object.entries(params)
+    .map(([key, value]) => value === ''
+      ? encodeURIComponent(key)
+      : `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  const address = definition.prefix + id
+    + path.map(segment => `/${encodeURIComponent(segment)}`).join('')
+    + (queryText ? `?${queryText}` : '')
+    + (fragment !== null ? `#${encodeURIComponent(fragment)}` : '');
+
+  const result = validateAddress(address);
+  if (!result.valid) throw new Error(result.error);
+  return address;
+}
+
+function selectSubResource(root, path, fragment, base) {
+  // Walks `path` into a resolved object (array segments are indexes or
+  // element ids), then finds the node whose id matches the fragment
+  let node = root;
+  for (const segment of path) {
+    if (Array.isArray(node)) {
+      node = /^\d+$/.test(segment)
+        ? node[Number(segment)]
+        : node.find(item => item?.id === segment);
+    } else if (node && typeof node === 'object' && Object.hasOwn(node, segment)) {
+      node = node[segment];
+    } else {
+      return undefined;
+    }
+    if (node === undefined) return undefined;
+  }
+
+  return fragment === null ? node : findById(node, [fragment, `${base}#${fragment}`]);
+}
+
+function findById(node, ids) {
+  if (!node || typeof node !== 'object') return undefined;
+  if (ids.includes(node.id)) return node;
+  for (const child of Object.values(node)) {
+    const found = findById(child, ids);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// ============================================
+// BLOB CONTENT (Binary Addressing + Merkle DAG)
+// ============================================
+
+// Blobs are split into chunks of this size; each chunk is its own record.
+// Content larger than one chunk is addressed by the Merkle root over its
+// chunk hashes instead of a hash of the whole.
+const BLOB_CHUNK_SIZE = 256 * 1024;
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+const TEXT_MIME_TYPE = 'text/plain;charset=utf-8';
+
+function isBinaryContent(content) {
+  return (typeof Blob !== 'undefined' && content instanceof Blob)
+    || content instanceof ArrayBuffer
+    || ArrayBuffer.isView(content);
+}
+
+async function readBinaryContent(content, mimeType) {
+  // Normalizes Blob / ArrayBuffer / typed arrays to a private copy of the bytes
+  if (typeof Blob !== 'undefined' && content instanceof Blob) {
+    return {
+      bytes: new Uint8Array(await content.arrayBuffer()),
+      mimeType: mimeType || content.type || DEFAULT_MIME_TYPE,
+      name: content.name || null
+    };
+  }
+
+  const bytes = content instanceof ArrayBuffer
+    ? new Uint8Array(content.slice(0))
+    : new Uint8Array(content.buffer, content.byteOffset, content.byteLength).slice();
+  return { bytes, mimeType: mimeType || DEFAULT_MIME_TYPE, name: null };
+}
+
+async function merkleRoot(leaves) {
+  // Interior nodes hash 0x01 || left || right so they can never collide
+  // with a leaf (a raw chunk hash); an odd node is carried up unchanged
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 === level.length) {
+        next.push(level[i]);
+        continue;
+      }
+      const node = new Uint8Array(65);
+      node[0] = 0x01;
+      node.set(hexToBytes(level[i]), 1);
+      node.set(hexToBytes(level[i + 1]), 33);
+      next.push(await sha256(node));
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+// Chunk-tree layouts: xhe:// roots are plain Merkle roots, ipfs:// roots are
+// UnixFS dag-pb nodes so the CID matches what IPFS itself would compute
+const DAG_LAYOUT = Object.freeze({
+  MERKLE: 'merkle',
+  UNIXFS: 'unixfs'
+});
+
+// Balanced UnixFS layout: at most this many links per node (as IPFS does)
+const UNIXFS_MAX_LINKS = 174;
+
+function protobufVarint(field, value) {
+  return [field << 3, ...encodeVarint(value)];
+}
+
+function protobufBytes(field, bytes) {
+  return [(field << 3) | 2, ...encodeVarint(bytes.length), ...bytes];
+}
+
+async function unixfsNode(children) {
+  // dag-pb PBNode: Links first, then Data (UnixFS File with block sizes)
+  const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+  const data = [
+    ...protobufVarint(1, 2),
+    ...protobufVarint(3, fileSize),
+    ...children.flatMap(child => protobufVarint(4, child.fileSize))
+  ];
+  const node = new Uint8Array([
+    ...children.flatMap(child => protobufBytes(2, [
+      ...protobufBytes(1, child.cid),
+      ...protobufBytes(2, []),
+      ...protobufVarint(3, child.treeSize)
+    ])),
+    ...protobufBytes(1, data)
+  ]);
+
+  const hash = await sha256(node);
+  return {
+    hash,
+    cid: cidBytes(CID_CODEC.DAG_PB, hash),
+    treeSize: node.length + children.reduce((sum, child) => sum + child.treeSize, 0),
+    fileSize
+  };
+}
+
+async function unixfsRoot(leaves, size, chunkSize) {
+  // Raw leaves grouped bottom-up into nodes of UNIXFS_MAX_LINKS
+  let level = leaves.map((hash, i) => {
+    const leafSize = Math.min(chunkSize, size - i * chunkSize);
+    return { cid: cidBytes(CID_CODEC.RAW, hash), treeSize: leafSize, fileSize: leafSize };
+  });
+  do {
+    const next = [];
+    for (let i = 0; i < level.length; i += UNIXFS_MAX_LINKS) {
+      next.push(await unixfsNode(level.slice(i, i + UNIXFS_MAX_LINKS)));
+    }
+    level = next;
+  } while (level.length > 1);
+  return level[0].hash;
+}
+
+function dagRoot(entry) {
+  return entry.layout === DAG_LAYOUT.UNIXFS
+    ? unixfsRoot(entry.chunks, entry.size, entry.chunkSize)
+    : merkleRoot(entry.chunks);
+}
+
+function blobPreview({ mimeType, name, size }) {
+  return `[${mimeType}] ${name ? `${name} ` : ''}(${size} bytes)`;
+}
+
+// ============================================
+// SCHEME REGISTRY (Pluggable URI Schemes)
+// ============================================
+
+/*
+ * registerScheme(definition):
+ *   name          'xhe', 'did:xhe', 'doc', ...
+ *   prefix        text before the identifier (default `${name}://`)
+ *   label         role shown in routing rules and the generator (default name)
+ *   description   one line for the scheme reference list
+ *   parse(segments)          identifier rule: gets the raw path segments after
+ *                            the prefix, returns { hash, used, ...extra } or
+ *                            addressError(); the first `used` segments are the id
+ *   formatId(parsed)         inverse of parse for serializeAddress (default hash)
+ *   generate(context)        optional; { hash, isDag, options, kernel } -> address.
+ *                            Schemes with it appear in generateAddress and the
+ *                            address index filters.
+ *   resolve(parsed, context) { kernel, resolveContent } -> resolution result
+ *                            (or a promise of one).
+ *                            Optional for content-addressed schemes, which
+ *                            default to resolveContent().
+ *   contentAddressed         `hash` names a content store entry (enables
+ *                            resolveRange)
+ *   layout                   DAG_LAYOUT for content over one chunk
+ */
+
+const SCHEME_REGISTRY = new Map();
+const SCHEME_NAME_PATTERN = /^[a-z][a-z0-9+.-]*(?::[a-z][a-z0-9+.-]*)?$/;
+
+function defineScheme(definition) {
+  const { name, parse, generate, resolve, contentAddressed = false } = definition || {};
+
+  if (typeof name !== 'string' || !SCHEME_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid scheme name: ${name}`);
+  }
+  if (SCHEME_REGISTRY.has(name)) throw new Error(`Scheme already registered: ${name}`);
+  if (typeof parse !== 'function') throw new Error(`Scheme ${name} needs a parse function`);
+  if (generate !== undefined && typeof generate !== 'function') {
+    throw new Error(`Scheme ${name}: generate must be a function`);
+  }
+  if (typeof resolve !== 'function' && !contentAddressed) {
+    throw new Error(`Scheme ${name} needs a resolve function`);
+  }
+
+  const prefix = definition.prefix || `${name}://`;
+  const clash = [...SCHEME_REGISTRY.values()]
+    .find(other => other.prefix.startsWith(prefix) || prefix.startsWith(other.prefix));
+  if (clash) throw new Error(`Prefix ${prefix} overlaps ${clash.prefix}`);
+
+  const scheme = Object.freeze({
+    name,
+    prefix,
+    label: definition.label || name,
+    description: definition.description || '',
+    parse,
+    formatId: definition.formatId || (parsed => parsed.hash),
+    generate: generate || null,
+    resolve: resolve || ((parsed, context) => context.resolveContent()),
+    contentAddressed,
+    layout: definition.layout || DAG_LAYOUT.MERKLE
+  });
+  SCHEME_REGISTRY.set(name, scheme);
+  return scheme;
+}
+
+function findScheme(address) {
+  for (const scheme of SCHEME_REGISTRY.values()) {
+    if (address.startsWith(scheme.prefix)) return scheme;
+  }
+  return null;
+}
+
+function describeScheme({ name, prefix, label, description, generate, contentAddressed }) {
+  return { name, prefix, label, description, generates: !!generate, contentAddressed };
+}
+
+// Built-in schemes (registered in this order, which the UI keeps)
+
+defineScheme({
+  name: URI_SCHEMES.XHE,
+  label: 'Content',
+  description: 'Content (sha256)',
+  contentAddressed: true,
+  parse: hexHash(64, 'xhe:// hash'),
+  generate: ({ hash }) => `xhe://${hash}`
+});
+
+defineScheme({
+  name: URI_SCHEMES.DID_XHE,
+  prefix: 'did:xhe:',
+  label: 'Identity',
+  description: 'Identity (sovereign)',
+  parse: hexHash(32, 'did:xhe identifier'),
+  generate: ({ hash }) => `did:xhe:${hash.slice(0, 32)}`,
+  resolve: (parsed, { kernel }) => kernel._resolveIdentityAddress(parsed.base, parsed)
+});
+
+defineScheme({
+  name: URI_SCHEMES.PULSE,
+  label: 'Event',
+  description: 'Event (immutable)',
+  parse: (segments) => {
+    if (!/^\d+$/.test(segments[0])) {
+      return addressError(ADDRESS_ERROR.BAD_SEQUENCE, 'Pulse sequence must be a decimal number');
+    }
+    if (segments.length < 2) {
+      return addressError(ADDRESS_ERROR.MISSING_ID, 'pulse:// needs <sequence>/<hash>');
+    }
+    const result = hexHash(64, 'Pulse hash')(segments.slice(1));
+    return result.valid === false ? result : { ...result, sequence: segments[0], used: 2 };
+  },
+  formatId: ({ sequence, hash }) => `${sequence}/${hash}`,
+  generate: ({ hash, options, kernel }) => {
+    // Anchored at the current chain position; sequence numbers are only
+    // consumed by emitted pulses so the chain stays gap-free
+    if (options.sequence && !/^\d+$/.test(options.sequence)) {
+      throw new Error('Pulse sequence must be a decimal number');
+    }
+    const sequence = options.sequence || String(kernel._pulseSequence).padStart(8, '0');
+    return `pulse://${sequence}/${hash}`;
+  },
+  resolve: (parsed, { kernel }) => kernel._resolvePulseAddress(parsed.base, parsed)
+});
+
+defineScheme({
+  name: URI_SCHEMES.IPFS,
+  label: 'Storage',
+  description: 'Storage (CIDv1)',
+  contentAddressed: true,
+  layout: DAG_LAYOUT.UNIXFS,
+  parse: (segments) => {
+    // Addresses from before CID support carry the bare sha256 hex digest
+    if (/^[0-9a-f]{64}$/.test(segments[0])) return { hash: segments[0], used: 1 };
+    // CIDv0 and CIDv1 of the same digest name the same content entry
+    const cid = decodeCid(segments[0]);
+    return cid
+      ? { hash: cid.hash, cid, used: 1 }
+      : addressError(ADDRESS_ERROR.BAD_CID, 'ipfs:// id must be a sha2-256 CIDv0 or CIDv1');
+  },
+  formatId: ({ hash, cid }) => cid ? encodeCid(cid.codec, hash) : hash,
+  generate: ({ hash, isDag }) => `ipfs://${encodeCid(isDag ? CID_CODEC.DAG_PB : CID_CODEC.RAW, hash)}`
+});
+
+defineScheme({
+  name: URI_SCHEMES.SLIP,
+  label: 'Value',
+  description: 'Economic transaction',
+  parse: recordId('Slip transaction'),
+  resolve: (parsed, { kernel }) => kernel._resolveSlipAddress(parsed.base, parsed)
+});
+
+defineScheme({
+  name: URI_SCHEMES.FEED,
+  label: 'Feed',
+  description: 'Pulse index view',
+  parse: recordId('Feed'),
+  resolve: (parsed, { kernel }) => kernel._resolveFeedAddress(parsed.base, parsed)
+});
+
+defineScheme({
+  name: URI_SCHEMES.CHANNEL,
+  label: 'Channel',
+  description: 'Scoped namespace',
+  parse: recordId('Channel'),
+  resolve: (parsed, { kernel }) => kernel._resolveChannelAddress(parsed.base, parsed)
+});
+
+defineScheme({
+  name: URI_SCHEMES.NAME,
+  label: 'Name',
+  description: 'Mutable pointer (signed, versioned)',
+  parse: (segments) => {
+    // name://did:xhe:<id>/<label>; the owner DID is the first segment
+    const owner = /^did:xhe:([0-9a-f]{32})$/.exec(segments[0]);
+    if (!owner) {
+      return addressError(ADDRESS_ERROR.BAD_ID, 'name:// owner must be a did:xhe:<32 hex> identity');
+    }
+    if (segments.length < 2) {
+      return addressError(ADDRESS_ERROR.MISSING_ID, 'name:// needs <did>/<label>');
+    }
+    if (!NAME_LABEL_PATTERN.test(segments[1])) {
+      return addressError(ADDRESS_ERROR.BAD_ID, "Name label may only contain letters, digits, '_', '-' and '.'");
+    }
+    return { hash: `${segments[0]}/${segments[1]}`, owner: segments[0], label: segments[1], used: 2 };
+  },
+  formatId: ({ owner, label }) => `${owner}/${label}`,
+  resolve: (parsed, { kernel }) => kernel._resolveNameAddress(parsed.base, parsed)
+});
+
+defineScheme({
+  name: URI_SCHEMES.SLIP_ASSET,
+  label: 'Asset',
+  description: 'Slip asset definition',
+  parse: (segments) => {
+    // slip-asset://SLIP, or slip-asset://did:xhe:<id>/<SYMBOL> for issued assets
+    if (segments[0] === DEFAULT_ASSET) return { hash: DEFAULT_ASSET, used: 1 };
+    if (!DID_PATTERN.test(segments[0])) {
+      return addressError(ADDRESS_ERROR.BAD_ID, 'slip-asset:// issuer must be a did:xhe:<32 hex> identity');
+    }
+    if (segments.length < 2) {
+      return addressError(ADDRESS_ERROR.MISSING_ID, 'slip-asset:// needs <did>/<SYMBOL>');
+    }
+    if (!ASSET_SYMBOL_PATTERN.test(segments[1])) {
+      return addressError(ADDRESS_ERROR.BAD_ID, 'Asset symbol must be 2-12 uppercase letters or digits');
+    }
+    return { hash: `${segments[0]}/${segments[1]}`, used: 2 };
+  },
+  resolve: (parsed, { kernel }) => kernel._resolveAssetAddress(parsed.base, parsed)
+});
+
+// ============================================
+// STORAGE LAYER (Kernel-Owned State)
+// ============================================
+
+// Record namespaces. Every write touches one record, never a whole store.
+const STORES = Object.freeze({
+  META: 'meta',
+  CONTENT: 'content',
+  PULSES: 'pulses',
+  ADDRESS_INDEX: 'addressIndex',
+  SLIP_BALANCES: 'slipBalances',
+  SLIP_TRANSACTIONS: 'slipTransactions',
+  FEEDS: 'feeds',
+  CHANNELS: 'channels',
+  POSTS: 'posts',
+  CHUNKS: 'chunks',
+  NAMES: 'names',
+  PINS: 'pins',
+  SLIP_NOTES: 'slipNotes',
+  ESCROWS: 'escrows',
+  SUBSCRIPTIONS: 'subscriptions',
+  ASSETS: 'assets'
+});
+
+// Bump whenever STORES changes so IndexedDB creates the new object stores
+const STORAGE_VERSION = 8;
+
+// Singleton records kept in the META store
+const META_KEYS = Object.freeze({
+  KERNEL: 'kernel',
+  IDENTITY: 'identity',
+  IDENTITY_HISTORY: 'identityHistory',
+  PULSE_SEQUENCE: 'pulseSequence',
+  PULSE_HEAD: 'pulseHead',
+  SOCIAL_GRAPH: 'socialGraph',
+  SLIP_POLICY: 'slipPolicy',
+  COMMIT_CLOCK: 'commitClock'
+});
+
+// Web Storage has no quota API; browsers allow roughly this much per origin
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+const STORAGE_WARNING_RATIO = 0.8;
+
+function isQuotaError(e) {
+  return e && (
+    e.name === 'QuotaExceededError' ||
+    e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    e.code === 22
+  );
+}
+
+function storageError(cause, store, key) {
+  const quotaExceeded = isQuotaError(cause);
+  const target = key === null ? store : `${store}/${key}`;
+  const error = new Error(quotaExceeded
+    ? `Storage quota exceeded writing ${target}`
+    : `Storage write failed for ${target}: ${cause.message}`);
+  error.cause = cause;
+  error.storage = { store, key, quotaExceeded };
+  return error;
+}
+
+// In-memory kernel field that mirrors each META record
+const META_FIELDS = Object.freeze({
+  [META_KEYS.KERNEL]: 'kernelMeta',
+  [META_KEYS.IDENTITY]: 'identity',
+  [META_KEYS.IDENTITY_HISTORY]: 'identityHistory',
+  [META_KEYS.PULSE_SEQUENCE]: '_pulseSequence',
+  [META_KEYS.PULSE_HEAD]: '_pulseHead',
+  [META_KEYS.SOCIAL_GRAPH]: 'socialGraph',
+  [META_KEYS.SLIP_POLICY]: 'slipPolicy',
+  [META_KEYS.COMMIT_CLOCK]: '_commitClock'
+});
+
+function metaDefault(key) {
+  switch (key) {
+    case META_KEYS.IDENTITY_HISTORY: return [];
+    case META_KEYS.PULSE_SEQUENCE:
+    case META_KEYS.COMMIT_CLOCK:
+      return 0;
+    case META_KEYS.SOCIAL_GRAPH: return { following: [], followers: [], blocked: [] };
+    case META_KEYS.SLIP_POLICY: return structuredClone(DEFAULT_SUPPLY_POLICY);
+    default: return null;
+  }
+}
+
+function sortByTimestamp(records) {
+  return records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/*
+ * Storage adapter interface (every method async):
+ *   open()                  prepare the backend
+ *   get(store, key)         one record, or undefined
+ *   getAll(store)           { key: record } for a whole store
+ *   put(store, key, value)  write one record
+ *   delete(store, key)      remove one record
+ *   clear(store)            remove every record in a store
+ *   commit(ops)             apply [{ type: 'put'|'delete'|'clear', store, key, value }]
+ *                           all-or-nothing, in order
+ *   estimate()              { usage, quota } in bytes, null when unknown
+ */
+
+class LocalStorageAdapter {
+  constructor(prefix = 'xhe') {
+    this.name = 'localStorage';
+    this.prefix = prefix;
+  }
+
+  _key(store, key) {
+    return `${this.prefix}:${store}:${key}`;
+  }
+
+  _keysIn(store) {
+    const prefix = `${this.prefix}:${store}:`;
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(prefix)) keys.push(key);
+    }
+    return keys;
+  }
+
+  async open() {}
+
+  async get(store, key) {
+    const stored = localStorage.getItem(this._key(store, key));
+    return stored === null ? undefined : JSON.parse(stored);
+  }
+
+  async getAll(store) {
+    const prefix = `${this.prefix}:${store}:`;
+    const records = {};
+    this._keysIn(store).forEach(key => {
+      try {
+        records[key.slice(prefix.length)] = JSON.parse(localStorage.getItem(key));
+      } catch (e) {
+        console.error('[KERNEL] Storage read error:', key, e);
+      }
+    });
+    return records;
+  }
+
+  async put(store, key, value) {
+    localStorage.setItem(this._key(store, key), JSON.stringify(value));
+  }
+
+  async delete(store, key) {
+    localStorage.removeItem(this._key(store, key));
+  }
+
+  async clear(store) {
+    this._keysIn(store).forEach(key => localStorage.removeItem(key));
+  }
+
+  async commit(ops) {
+    // Web Storage has no transactions. Apply synchronously (nothing else
+    // can interleave) and undo what was applied if any write throws.
+    const undo = [];
+    let current = null;
+    try {
+      ops.forEach(op => {
+        current = op;
+        const keys = op.type === 'clear' ? this._keysIn(op.store) : [this._key(op.store, op.key)];
+        keys.forEach(key => {
+          undo.push([key, localStorage.getItem(key)]);
+          if (op.type === 'put') localStorage.setItem(key, JSON.stringify(op.value));
+          else localStorage.removeItem(key);
+        });
+      });
+    } catch (e) {
+      undo.reverse().forEach(([key, previous]) => {
+        if (previous === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, previous);
+      });
+      e.failedOp = current;
+      throw e;
+    }
+  }
+
+  async estimate() {
+    // Web Storage holds UTF-16 strings: two bytes per character
+    let chars = 0;
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      chars += key.length + (localStorage.getItem(key) || '').length;
+    }
+    return { usage: chars * 2, quota: LOCAL_STORAGE_QUOTA };
+  }
+}
+
+class IndexedDBAdapter {
+  constructor(dbName = 'xhe_kernel') {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this._db = null;
+  }
+
+  async open() {
+    if (!this._db) {
+      this._db = openDatabase(this.dbName, STORAGE_VERSION, db => {
+        Object.values(STORES).forEach(store => {
+          if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+        });
+      });
+    }
+    return this._db;
+  }
+
+  async _run(store, mode, fn) {
+    return idbTransaction(await this.open(), store, mode, tx => fn(tx.objectStore(store)));
+  }
+
+  async get(store, key) {
+    return this._run(store, 'readonly', s => s.get(key));
+  }
+
+  async getAll(store) {
+    let keys, values;
+    await this._run(store, 'readonly', s => {
+      keys = s.getAllKeys();
+      values = s.getAll();
+    });
+    // Both requests walk the store in key order, so they zip
+    const records = {};
+    keys.result.forEach((key, i) => { records[key] = values.result[i]; });
+    return records;
+  }
+
+  async put(store, key, value) {
+    await this._run(store, 'readwrite', s => s.put(value, key));
+  }
+
+  async delete(store, key) {
+    await this._run(store, 'readwrite', s => s.delete(key));
+  }
+
+  async clear(store) {
+    await this._run(store, 'readwrite', s => s.clear());
+  }
+
+  async commit(ops) {
+    // One IndexedDB transaction across every touched store: atomic natively
+    const stores = [...new Set(ops.map(op => op.store))];
+    await idbTransaction(await this.open(), stores, 'readwrite', tx => {
+      ops.forEach(op => {
+        const store = tx.objectStore(op.store);
+        if (op.type === 'put') store.put(op.value, op.key);
+        else if (op.type === 'delete') store.delete(op.key);
+        else store.clear();
+      });
+    });
+  }
+
+  async estimate() {
+    // Origin-wide figure: includes the key store and anything else on the origin
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+      return { usage: null, quota: null };
+    }
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+}
+
+class MemoryStorageAdapter {
+  // Non-persistent; for tests and environments without Web Storage.
+  // Records are cloned on the way in and out, like a real backend.
+  constructor() {
+    this.name = 'memory';
+    this._stores = new Map();
+  }
+
+  _store(store) {
+    if (!this._stores.has(store)) this._stores.set(store, new Map());
+    return this._stores.get(store);
+  }
+
+  async open() {}
+
+  async get(store, key) {
+    const value = this._store(store).get(key);
+    return value === undefined ? undefined : structuredClone(value);
+  }
+
+  async getAll(store) {
+    const records = {};
+    this._store(store).forEach((value, key) => { records[key] = structuredClone(value); });
+    return records;
+  }
+
+  async put(store, key, value) {
+    this._store(store).set(key, structuredClone(value));
+  }
+
+  async delete(store, key) {
+    this._store(store).delete(key);
+  }
+
+  async clear(store) {
+    this._store(store).clear();
+  }
+
+  async commit(ops) {
+    // Clone everything first so an uncloneable value fails before any write
+    const staged = ops.map(op => ({ ...op, value: op.type === 'put' ? structuredClone(op.value) : undefined }));
+    staged.forEach(op => {
+      if (op.type === 'put') this._store(op.store).set(op.key, op.value);
+      else if (op.type === 'delete') this._store(op.store).delete(op.key);
+      else this._store(op.store).clear();
+    });
+  }
+
+  async estimate() {
+    return { usage: null, quota: null };
+  }
+}
+
+function createStorageAdapter() {
+  if (typeof indexedDB !== 'undefined') return new IndexedDBAdapter();
+  if (typeof localStorage !== 'undefined') return new LocalStorageAdapter();
+  return new MemoryStorageAdapter();
+}
+
+// ============================================
+// LEGACY STORAGE MIGRATION (Whole-Blob Layout)
+// ============================================
+
+// Pre-adapter layout: one localStorage key per store, rewritten in full
+const LEGACY_STORAGE_KEYS = Object.freeze({
+  KERNEL_META: 'xhe_kernel_meta',
+  IDENTITY: 'xhe_kernel_identity',
+  IDENTITY_HISTORY: 'xhe_kernel_identity_history',
+  CONTENT_STORE: 'xhe_kernel_content',
+  PULSE_STORE: 'xhe_kernel_pulses',
+  PULSE_SEQUENCE: 'xhe_kernel_pulse_seq',
+  PULSE_HEAD: 'xhe_kernel_pulse_head',
+  ADDRESS_INDEX: 'xhe_kernel_address_index',
+  SLIP_LEDGER: 'xhe_kernel_slips',
+  SOCIAL_GRAPH: 'xhe_kernel_social',
+  FEEDS: 'xhe_kernel_feeds',
+  CHANNELS: 'xhe_kernel_channels'
+});
+
+function loadLegacyState(key, defaultValue = null) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : defaultValue;
+  } catch (e) {
+    console.error('[KERNEL] Legacy storage read error:', e);
+    return defaultValue;
+  }
+}
+
+function splitLegacyPosts(records, posts) {
+  // Legacy feeds and channels held whole posts; each post becomes its own
+  // record and the feed or channel keeps only the post ids
+  return Object.fromEntries(Object.entries(records).map(([key, { posts: held = [], ...record }]) => {
+    held.forEach(post => { posts[post.id] = post; });
+    return [key, { ...record, postIds: held.map(post => post.id) }];
+  }));
+}
+
+async function migrateLegacyStorage(storage) {
+  if (typeof localStorage === 'undefined') return false;
+  if (localStorage.getItem(LEGACY_STORAGE_KEYS.KERNEL_META) === null) return false;
+
+  // Leftover blobs next to an already-populated backend are stale: drop them
+  const alreadyMigrated = await storage.get(STORES.META, META_KEYS.KERNEL);
+
+  if (!alreadyMigrated) {
+    const putAll = async (store, records) => {
+      for (const [key, value] of Object.entries(records)) {
+        await storage.put(store, key, value);
+      }
+    };
+
+    const ledger = loadLegacyState(LEGACY_STORAGE_KEYS.SLIP_LEDGER, { balances: {}, transactions: [] });
+
+    await putAll(STORES.CONTENT, loadLegacyState(LEGACY_STORAGE_KEYS.CONTENT_STORE, {}));
+    await putAll(STORES.PULSES, loadLegacyState(LEGACY_STORAGE_KEYS.PULSE_STORE, {}));
+    await putAll(STORES.ADDRESS_INDEX, loadLegacyState(LEGACY_STORAGE_KEYS.ADDRESS_INDEX, {}));
+    const posts = {};
+    await putAll(STORES.FEEDS, splitLegacyPosts(loadLegacyState(LEGACY_STORAGE_KEYS.FEEDS, {}), posts));
+    await putAll(STORES.CHANNELS, splitLegacyPosts(loadLegacyState(LEGACY_STORAGE_KEYS.CHANNELS, {}), posts));
+    await putAll(STORES.POSTS, posts);
+    await putAll(STORES.SLIP_BALANCES, ledger.balances || {});
+    await putAll(STORES.SLIP_TRANSACTIONS,
+      Object.fromEntries((ledger.transactions || []).map(tx => [tx.id, tx])));
+
+    await putAll(STORES.META, {
+      [META_KEYS.IDENTITY]: loadLegacyState(LEGACY_STORAGE_KEYS.IDENTITY),
+      [META_KEYS.IDENTITY_HISTORY]: loadLegacyState(LEGACY_STORAGE_KEYS.IDENTITY_HISTORY, []),
+      [META_KEYS.PULSE_SEQUENCE]: loadLegacyState(LEGACY_STORAGE_KEYS.PULSE_SEQUENCE, 0),
+      [META_KEYS.PULSE_HEAD]: loadLegacyState(LEGACY_STORAGE_KEYS.PULSE_HEAD),
+      [META_KEYS.SOCIAL_GRAPH]: loadLegacyState(LEGACY_STORAGE_KEYS.SOCIAL_GRAPH)
+    });
+
+    // Kernel meta goes last: its presence marks the migration complete
+    await storage.put(STORES.META, META_KEYS.KERNEL, loadLegacyState(LEGACY_STORAGE_KEYS.KERNEL_META));
+  }
+
+  Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+  return !alreadyMigrated;
+}
+
+// ============================================
+// MULTI-TAB LEASE (Web Locks Fallback)
+// ============================================
+
+const SYNC_CHANNEL = 'xhe_kernel_sync';
+const WRITER_LEASE = 'xhe_kernel_writer';
+const LEASE_TTL_MS = 5000;
+const LEASE_SETTLE_MS = 30;
+const LEASE_RETRY_MS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function readLease() {
+  try {
+    return JSON.parse(localStorage.getItem(WRITER_LEASE) || 'null');
+  } catch (e) {
+    return null;
+  }
+}
+
+async function acquireStorageLease(holder) {
+  // Write-then-confirm mutex for browsers without navigator.locks. The
+  // lease expires, so a tab that dies holding it cannot block the others.
+  for (;;) {
+    const lease = readLease();
+    if (!lease || lease.expires < Date.now() || lease.holder === holder) {
+      localStorage.setItem(WRITER_LEASE, JSON.stringify({ holder, expires: Date.now() + LEASE_TTL_MS }));
+      await sleep(LEASE_SETTLE_MS);
+      if (readLease()?.holder === holder) break;
+    }
+    await sleep(LEASE_RETRY_MS + Math.random() * LEASE_RETRY_MS);
+  }
+
+  // Long writes keep the lease alive until released
+  const renew = setInterval(() => {
+    localStorage.setItem(WRITER_LEASE, JSON.stringify({ holder, expires: Date.now() + LEASE_TTL_MS }));
+  }, LEASE_TTL_MS / 2);
+
+  return () => {
+    clearInterval(renew);
+    if (readLease()?.holder === holder) localStorage.removeItem(WRITER_LEASE);
+  };
+}
+
+// ============================================
+// XHE KERNEL CLASS
+// ============================================
+
+class XHEKernel {
+  constructor(options = {}) {
+    this._listeners = {};
+    this._storage = options.storage || createStorageAdapter();
+    this._keyStore = options.keyStore || createKeyStore();
+    this._signingKey = null;
+    this._pulseQueue = Promise.resolve();
+    this._txQueue = Promise.resolve();
+    this._tx = null;
+    this._tabId = randomHex(16);
+    // store -> Map(key -> serialized bytes), dropped as records change
+    this._usageCache = new Map();
+    this._channel = null;
+    this._issuanceTimer = null;
+    this._escrowTimer = null;
+    this._subscriptionTimer = null;
+    // Set by close(); timers are not re-armed after it
+    this._closed = false;
+    // Hashing, key generation and storage are async; callers await `ready`
+    this.ready = this._initializeKernel();
+  }
+
+  static async create(options = {}) {
+    const kernel = new XHEKernel(options);
+    await kernel.ready;
+    return kernel;
+  }
+
+  // ============================================
+  // KERNEL INITIALIZATION (Deterministic)
+  // ============================================
+
+  async _initializeKernel() {
+    await this._openStorage();
+    // Boot writes (migration, genesis) are serialized with other tabs' writes
+    await this._withWriterLease(() => this._bootKernel());
+    this._openSyncChannel();
+    this._armIssuanceSchedule();
+    this._armEscrowExpiry();
+    // Payments that fell due while no tab was open are made on boot; a
+    // failed run must not fail the boot
+    await this.runDueSubscriptions().catch(e => console.error('[KERNEL] Subscription payments failed:', e));
+    // Pulse-conditioned escrows settle once the pulse has committed
+    this.on('kernel:pulse', pulse => this._releaseEscrowsOn(pulse));
+    return this;
+  }
+
+  async _bootKernel() {
+    if (await migrateLegacyStorage(this._storage)) {
+      console.info(`[KERNEL] Migrated legacy localStorage state to ${this._storage.name}`);
+    }
+
+    // Load or create kernel metadata
+    const meta = await this._storage.getAll(STORES.META);
+    this.kernelMeta = meta[META_KEYS.KERNEL] || null;
+    
+    const isNewKernel = !this.kernelMeta;
+    
+    if (isNewKernel) {
+      this.kernelMeta = {
+        version: '1.0.0',
+        created: timestamp(),
+        lastActive: timestamp()
+      };
+    } else {
+      this.kernelMeta.lastActive = timestamp();
+    }
+    await this._put(STORES.META, META_KEYS.KERNEL, this.kernelMeta);
+
+    // Load pulse sequence (MONOTONIC, PERSISTED)
+    this._pulseSequence = meta[META_KEYS.PULSE_SEQUENCE] || 0;
+    this._pulseHead = meta[META_KEYS.PULSE_HEAD] || null;
+    this._commitClock = meta[META_KEYS.COMMIT_CLOCK] || 0;
+    
+    // Load kernel-owned stores
+    this.contentStore = await this._storage.getAll(STORES.CONTENT);
+    this.chunkStore = await this._storage.getAll(STORES.CHUNKS);
+    this.pulseStore = await this._storage.getAll(STORES.PULSES);
+    await this._rehashLegacyPulses();
+    this.addressIndex = await this._storage.getAll(STORES.ADDRESS_INDEX);
+    this.names = await this._storage.getAll(STORES.NAMES);
+    this.pins = await this._storage.getAll(STORES.PINS);
+    
+    // Load economic layer (slips)
+    const transactions = await this._storage.getAll(STORES.SLIP_TRANSACTIONS);
+    this.slipLedger = {
+      balances: await this._storage.getAll(STORES.SLIP_BALANCES),
+      transactions: sortByTimestamp(Object.values(transactions))
+    };
+    this.slipPolicy = meta[META_KEYS.SLIP_POLICY] || metaDefault(META_KEYS.SLIP_POLICY);
+    this.slipNotes = await this._storage.getAll(STORES.SLIP_NOTES);
+    this.escrows = await this._storage.getAll(STORES.ESCROWS);
+    this.subscriptions = await this._storage.getAll(STORES.SUBSCRIPTIONS);
+    this.assets = await this._storage.getAll(STORES.ASSETS);
+    
+    // Load social layer
+    this.socialGraph = meta[META_KEYS.SOCIAL_GRAPH] || {
+      following: [],
+      followers: [],
+      blocked: []
+    };
+    this.feeds = await this._storage.getAll(STORES.FEEDS);
+    this.channels = await this._storage.getAll(STORES.CHANNELS);
+    this.posts = await this._storage.getAll(STORES.POSTS);
+
+    // Load identity (history first, so legacy identities can be archived)
+    this.identityHistory = meta[META_KEYS.IDENTITY_HISTORY] || [];
+    // Upgrade the ledger before a replacement identity gets its genesis
+    await this._migrateLedger([...this.identityHistory, meta[META_KEYS.IDENTITY]].filter(Boolean));
+    // Balances are always a fold over the log; the stored ones are only a
+    // cache, which auditLedger() checks against it
+    this.slipLedger.balances = deriveBalances(this.slipLedger.transactions);
+    this.identity = await this._loadOrCreateIdentity(meta[META_KEYS.IDENTITY], isNewKernel);
+    
+    // Genesis slips are a GENESIS transaction like any other credit
+    await this._creditGenesis(this.identity);
+
+    // Emit kernel init pulse (if new kernel)
+    if (isNewKernel) {
+      await this._emitPulse(PULSE_TYPE.KERNEL_INIT, {
+        version: this.kernelMeta.version,
+        identity: this.identity.did
+      });
+    }
+
+    // Boot writes count as a commit; open tabs reload before their next write
+    this._commitClock++;
+    await this._put(STORES.META, META_KEYS.COMMIT_CLOCK, this._commitClock);
+  }
+
+  async _openStorage() {
+    try {
+      await this._storage.open();
+    } catch (e) {
+      // IndexedDB can be unavailable (e.g. some private browsing modes)
+      console.error(`[KERNEL] ${this._storage.name} unavailable, falling back:`, e);
+      this._storage = typeof localStorage !== 'undefined'
+        ? new LocalStorageAdapter()
+        : new MemoryStorageAdapter();
+      await this._storage.open();
+    }
+  }
+
+  // ============================================
+  // STORAGE ACCESS (Per-Record Writes)
+  // ============================================
+
+  async _put(store, key, value) {
+    await this._write({ type: 'put', store, key, value });
+  }
+
+  async _delete(store, key) {
+    await this._write({ type: 'delete', store, key });
+  }
+
+  async _clear(store) {
+    await this._write({ type: 'clear', store });
+  }
+
+  async _write(op) {
+    // Inside a transaction writes are staged; outside (boot only) they go straight through
+    this._forgetUsage(op.store, op.key);
+    if (this._tx) {
+      this._tx.ops.push(op);
+      return;
+    }
+    try {
+      await this._storage.commit([op]);
+    } catch (e) {
+      throw storageError(e, op.store, op.key ?? null);
+    }
+  }
+
+  // ============================================
+  // TRANSACTIONS (All-or-Nothing Intents)
+  // ============================================
+
+  _transaction(name, fn) {
+    // Every public mutation runs here, one at a time across all tabs
+    // (writer lease). In-memory state is updated as the intent goes;
+    // storage sees nothing until a single atomic commit at the end.
+    // Not re-entrant: helpers called from `fn` write into the caller's
+    // transaction.
+    return this._exclusive(() => this._withWriterLease(async () => {
+      await this._catchUp();
+
+      const tx = { name, ops: [], events: [] };
+      this._tx = tx;
+      try {
+        const result = await fn();
+        if (tx.ops.length > 0) {
+          this._commitClock++;
+          await this._put(STORES.META, META_KEYS.COMMIT_CLOCK, this._commitClock);
+        }
+        await this._commit(tx);
+        this._tx = null;
+        this._broadcastCommit(tx);
+        tx.events.forEach(([event, data]) => this._dispatch(event, data));
+        return result;
+      } catch (e) {
+        this._tx = null;
+        await this._rollback(tx);
+        if (e.storage) {
+          console.error(`[KERNEL] ${name} rolled back:`, e);
+          this._emit('kernel:storage:error', { intent: name, message: e.message, ...e.storage });
+        }
+        throw e;
+      }
+    }));
+  }
+
+  _exclusive(fn) {
+    // In-tab serialization: transactions and peer syncs never interleave
+    const run = this._txQueue.then(fn);
+    this._txQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _commit(tx) {
+    if (tx.ops.length === 0) return;
+    try {
+      await this._storage.commit(tx.ops);
+    } catch (e) {
+      const stores = [...new Set(tx.ops.map(op => op.store))].join(',');
+      throw storageError(e, e.failedOp?.store || stores, e.failedOp?.key ?? null);
+    }
+  }
+
+  async _rollback(tx) {
+    // Nothing reached storage, so storage is the pre-transaction truth:
+    // re-read every record the transaction touched
+    const cleared = new Set(tx.ops.filter(op => op.type === 'clear').map(op => op.store));
+    for (const store of cleared) {
+      this._replaceStore(store, await this._storage.getAll(store));
+    }
+    for (const op of tx.ops) {
+      if (op.type === 'clear' || cleared.has(op.store)) continue;
+      this._applyRecord(op.store, op.key, await this._storage.get(op.store, op.key));
+    }
+    // A rolled-back identity change must take its signing key with it
+    if (tx.ops.some(op => op.store === STORES.META && op.key === META_KEYS.IDENTITY)) {
+      await this._loadSigningKey();
+    }
+  }
+
+  _applyRecord(store, key, value) {
+    // Mirror one persisted record into in-memory state (undefined = absent)
+    this._forgetUsage(store, key);
+    if (store === STORES.META) {
+      const field = META_FIELDS[key];
+      if (field) this[field] = value === undefined ? metaDefault(key) : value;
+      return;
+    }
+
+    // Balances follow the log, never the stored cache
+    if (store === STORES.SLIP_BALANCES) return;
+    if (store === STORES.SLIP_TRANSACTIONS) {
+      const transactions = this.slipLedger.transactions.filter(tx => tx.id !== key);
+      if (value !== undefined) transactions.push(value);
+      this.slipLedger.transactions = sortByTimestamp(transactions);
+      this.slipLedger.balances = deriveBalances(this.slipLedger.transactions);
+      return;
+    }
+
+    const records = this._storeRecords(store);
+    if (value === undefined) delete records[key];
+    else records[key] = value;
+  }
+
+  _replaceStore(store, records) {
+    this._forgetUsage(store);
+    switch (store) {
+      case STORES.META:
+        Object.values(META_KEYS).forEach(key => this._applyRecord(store, key, records[key]));
         break;
-      case URI_SCHEMES.IPFS:
-        address = `ipfs://${hash}`;
+      case STORES.CONTENT: this.contentStore = records; break;
+      case STORES.PULSES: this.pulseStore = records; break;
+      case STORES.ADDRESS_INDEX: this.addressIndex = records; break;
+      case STORES.SLIP_BALANCES: break;
+      case STORES.SLIP_TRANSACTIONS:
+        this.slipLedger.transactions = sortByTimestamp(Object.values(records));
+        this.slipLedger.balances = deriveBalances(this.slipLedger.transactions);
         break;
-      default:
-        throw new Error(`Unknown scheme: ${scheme}`);
+      case STORES.FEEDS: this.feeds = records; break;
+      case STORES.CHANNELS: this.channels = records; break;
+      case STORES.POSTS: this.posts = records; break;
+      case STORES.CHUNKS: this.chunkStore = records; break;
+      case STORES.NAMES: this.names = records; break;
+      case STORES.PINS: this.pins = records; break;
+      case STORES.SLIP_NOTES: this.slipNotes = records; break;
+      case STORES.ESCROWS: this.escrows = records; break;
+      case STORES.SUBSCRIPTIONS: this.subscriptions = records; break;
+      case STORES.ASSETS: this.assets = records; break;
+    }
+  }
+
+  // ============================================
+  // MULTI-TAB COORDINATION (Writer Lease + Sync)
+  // ============================================
+
+  async _withWriterLease(fn) {
+    // One writer across every tab of the origin: the sequence counter,
+    // pulse head and stores only ever advance under this lease
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(WRITER_LEASE, fn);
+    }
+    if (typeof localStorage === 'undefined') return fn();
+
+    const release = await acquireStorageLease(this._tabId);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  async _catchUp() {
+    // Another tab may have committed after its broadcast was sent but
+    // before it arrived here; the commit clock in storage is the truth
+    const clock = (await this._storage.get(STORES.META, META_KEYS.COMMIT_CLOCK)) || 0;
+    if (clock !== this._commitClock) {
+      await this._reloadFromStorage(null);
+    }
+  }
+
+  _openSyncChannel() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(SYNC_CHANNEL);
+      this._channel.onmessage = (event) => this._onPeerCommit(event.data);
+    } else if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+      // Fallback: `storage` events fire in every other tab on write
+      this._onStorageEvent = (event) => {
+        if (event.key === SYNC_CHANNEL && event.newValue) {
+          this._onPeerCommit(JSON.parse(event.newValue));
+        }
+      };
+      window.addEventListener('storage', this._onStorageEvent);
+    }
+  }
+
+  _broadcastCommit(tx) {
+    if (tx.ops.length === 0) return;
+
+    const message = {
+      type: 'commit',
+      tab: this._tabId,
+      intent: tx.name,
+      clock: this._commitClock,
+      records: tx.ops.map(({ type, store, key }) => ({ type, store, key }))
+    };
+
+    try {
+      if (this._channel) {
+        this._channel.postMessage(message);
+      } else if (this._onStorageEvent) {
+        localStorage.setItem(SYNC_CHANNEL, JSON.stringify(message));
+      }
+    } catch (e) {
+      // Peers still catch up from the commit clock on their next write
+      console.error('[KERNEL] Sync broadcast failed:', e);
+    }
+  }
+
+  _onPeerCommit(message) {
+    if (!message || message.type !== 'commit' || message.tab === this._tabId) return;
+
+    this._exclusive(async () => {
+      if (message.clock <= this._commitClock) return;
+
+      // Exactly the next commit: reload just its records; otherwise a
+      // message was missed and everything is reloaded
+      const records = message.clock === this._commitClock + 1 ? message.records : null;
+      await this._reloadFromStorage(records, message.intent);
+    }).catch(e => console.error('[KERNEL] Sync from peer failed:', e));
+  }
+
+  async _reloadFromStorage(records, intent = null) {
+    const knownPulses = new Set(Object.keys(this.pulseStore));
+    const did = this.identity?.did;
+
+    if (records) {
+      const cleared = new Set(records.filter(r => r.type === 'clear').map(r => r.store));
+      for (const store of cleared) {
+        this._replaceStore(store, await this._storage.getAll(store));
+      }
+      for (const { type, store, key } of records) {
+        if (type === 'clear' || cleared.has(store)) continue;
+        this._applyRecord(store, key, await this._storage.get(store, key));
+      }
+    } else {
+      for (const store of Object.values(STORES)) {
+        this._replaceStore(store, await this._storage.getAll(store));
+      }
+    }
+
+    // Re-emit what changed so this tab's UI follows along
+    if (this.identity?.did !== did) {
+      await this._loadSigningKey();
+      this._emit('kernel:identity:changed', {
+        oldDid: did,
+        newDid: this.identity.did,
+        history: this.identityHistory
+      });
+    }
+
+    Object.values(this.pulseStore)
+      .filter(pulse => !knownPulses.has(pulse.id))
+      .sort((a, b) => a.sequence.localeCompare(b.sequence))
+      .forEach(pulse => this._emit('kernel:pulse', pulse));
+
+    // The supply policy may have gained, lost or moved its schedule
+    this._armIssuanceSchedule();
+    this._armEscrowExpiry();
+    this._armSubscriptions();
+
+    this._emit('kernel:sync', {
+      intent,
+      full: !records,
+      stores: records ? [...new Set(records.map(r => r.store))] : Object.values(STORES)
+    });
+  }
+
+  close() {
+    this._closed = true;
+    clearTimeout(this._issuanceTimer);
+    clearTimeout(this._escrowTimer);
+    clearTimeout(this._subscriptionTimer);
+    this._issuanceTimer = null;
+    this._escrowTimer = null;
+    this._subscriptionTimer = null;
+    if (this._channel) this._channel.close();
+    if (this._onStorageEvent) window.removeEventListener('storage', this._onStorageEvent);
+    this._channel = null;
+    this._onStorageEvent = null;
+  }
+
+  _storeRecords(store) {
+    // In-memory view of a store as { key: record }
+    switch (store) {
+      case STORES.META:
+        return {
+          [META_KEYS.KERNEL]: this.kernelMeta,
+          [META_KEYS.IDENTITY]: this.identity,
+          [META_KEYS.IDENTITY_HISTORY]: this.identityHistory,
+          [META_KEYS.PULSE_SEQUENCE]: this._pulseSequence,
+          [META_KEYS.PULSE_HEAD]: this._pulseHead,
+          [META_KEYS.SOCIAL_GRAPH]: this.socialGraph,
+          [META_KEYS.SLIP_POLICY]: this.slipPolicy,
+          [META_KEYS.COMMIT_CLOCK]: this._commitClock
+        };
+      case STORES.CONTENT: return this.contentStore;
+      case STORES.PULSES: return this.pulseStore;
+      case STORES.ADDRESS_INDEX: return this.addressIndex;
+      case STORES.SLIP_BALANCES: return this.slipLedger.balances;
+      case STORES.SLIP_TRANSACTIONS:
+        return Object.fromEntries(this.slipLedger.transactions.map(tx => [tx.id, tx]));
+      case STORES.FEEDS: return this.feeds;
+      case STORES.CHANNELS: return this.channels;
+      case STORES.POSTS: return this.posts;
+      case STORES.CHUNKS: return this.chunkStore;
+      case STORES.NAMES: return this.names;
+      case STORES.PINS: return this.pins;
+      case STORES.SLIP_NOTES: return this.slipNotes;
+      case STORES.ESCROWS: return this.escrows;
+      case STORES.SUBSCRIPTIONS: return this.subscriptions;
+      case STORES.ASSETS: return this.assets;
+      default: return {};
+    }
+  }
+
+  // ============================================
+  // STORAGE USAGE (Computed, Not Stored)
+  // ============================================
+
+  async getStorageUsage() {
+    // Each record is serialized once and its size cached until it is
+    // written again, so refreshing the panel does not re-encode every chunk
+    const encoder = new TextEncoder();
+    const stores = {};
+    let totalBytes = 0;
+
+    Object.values(STORES).forEach(store => {
+      if (!this._usageCache.has(store)) this._usageCache.set(store, new Map());
+      const sizes = this._usageCache.get(store);
+      const records = Object.entries(this._storeRecords(store))
+        .filter(([, value]) => value !== undefined);
+      const bytes = records.reduce((sum, [key, value]) => {
+        if (!sizes.has(key)) {
+          sizes.set(key, encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length);
+        }
+        return sum + sizes.get(key);
+      }, 0);
+      stores[store] = { records: records.length, bytes };
+      totalBytes += bytes;
+    });
+
+    const { usage = null, quota = null } = await this._storage.estimate();
+    const percentUsed = usage !== null && quota ? usage / quota : null;
+
+    return {
+      backend: this._storage.name,
+      stores,
+      totalBytes,
+      usage,
+      quota,
+      percentUsed,
+      nearQuota: percentUsed !== null && percentUsed >= STORAGE_WARNING_RATIO
+    };
+  }
+
+  _forgetUsage(store, key = null) {
+    if (key === null) this._usageCache.delete(store);
+    else this._usageCache.get(store)?.delete(key);
+  }
+
+  async _loadSigningKey() {
+    const keyPair = this.identity ? await this._keyStore.get(this.identity.did) : null;
+    this._signingKey = keyPair ? keyPair.privateKey : null;
+    return this._signingKey;
+  }
+
+  async _loadOrCreateIdentity(stored, isNewKernel) {
+    if (stored && stored.did && stored.publicKeyJwk) {
+      const keyPair = await this._keyStore.get(stored.did);
+      if (keyPair) {
+        this._signingKey = keyPair.privateKey;
+        return stored;
+      }
+    }
+
+    if (stored && stored.did) {
+      // An identity without a usable signing key cannot author anything
+      // verifiable: archive it and issue a keyed identity in its place
+      this.identityHistory.push({
+        ...stored,
+        archivedAt: timestamp(),
+        reason: stored.publicKeyJwk ? 'SIGNING_KEY_UNAVAILABLE' : 'LEGACY_UNSIGNED'
+      });
+      await this._put(STORES.META, META_KEYS.IDENTITY_HISTORY, this.identityHistory);
+      return this._createIdentity(true);
+    }
+
+    return this._createIdentity(isNewKernel);
+  }
+
+  async _createIdentity(emitPulse = true) {
+    const { algorithm, privateKey, publicKey } = await generateSigningKeyPair();
+    const rawPublicKey = new Uint8Array(await crypto.subtle.exportKey('raw', publicKey));
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', publicKey);
+
+    // DID is derived from the public key, not chosen
+    const did = `did:xhe:${(await sha256(rawPublicKey)).slice(0, 32)}`;
+    await this._keyStore.put(did, { privateKey, publicKey });
+    this._signingKey = privateKey;
+
+    const identity = {
+      did,
+      algorithm,
+      publicKey: bytesToHex(rawPublicKey),
+      publicKeyJwk: { kty, crv, x, y },
+      keyId: `${did}#key-1`,
+      created: timestamp(),
+      version: 2
+    };
+    await this._put(STORES.META, META_KEYS.IDENTITY, identity);
+    
+    await this._creditGenesis(identity);
+    
+    if (emitPulse) {
+      // The creation pulse is authored by the identity it creates
+      this.identity = identity;
+      await this._emitPulse(PULSE_TYPE.IDENTITY_CREATE, { did: identity.did });
+    }
+    
+    return identity;
+  }
+
+  // ============================================
+  // PULSE SYSTEM (Monotonic, Deterministic)
+  // ============================================
+
+  async _getNextSequence() {
+    this._pulseSequence++;
+    await this._put(STORES.META, META_KEYS.PULSE_SEQUENCE, this._pulseSequence);
+    return String(this._pulseSequence).padStart(8, '0');
+  }
+
+  _emitPulse(type, payload) {
+    // Serialized: each pulse links to the hash of the one before it,
+    // so two in-flight emissions must not read the same head
+    const emission = this._pulseQueue.then(() => this._appendPulse(type, payload));
+    this._pulseQueue = emission.catch(() => {});
+    return emission;
+  }
+
+  async _appendPulse(type, payload) {
+    const sequence = await this._getNextSequence();
+    const ts = timestamp();
+    
+    const pulse = pulseBody({
+      type,
+      payload,
+      timestamp: ts,
+      author: this.identity.did,
+      sequence,
+      kernelVersion: this.kernelMeta.version,
+      prevHash: this._pulseHead
+    });
+
+    const pulseContent = JSON.stringify(pulse);
+    const hash = await sha256(pulseContent);
+    const signature = await signData(this._signingKey, this.identity.algorithm, hash);
+    
+    const pulseId = `${sequence}/${hash}`;
+    const address = `pulse://${pulseId}`;
+
+    const storedPulse = {
+      ...pulse,
+      hash,
+      keyId: this.identity.keyId,
+      signature,
+      address,
+      id: pulseId
+    };
+
+    this.pulseStore[pulseId] = storedPulse;
+    await this._put(STORES.PULSES, pulseId, storedPulse);
+    await this._advancePulseHead(hash);
+
+    // Emit kernel event (console listens to this)
+    this._emit('kernel:pulse', storedPulse);
+
+    return { pulseId, address, pulse: storedPulse };
+  }
+
+  async _rehashLegacyPulses() {
+    // Early kernels stored genesis pulses under a base64 prefix instead of
+    // a SHA-256 hash; re-derive their ids so every pulse shares one format
+    const legacy = Object.values(this.pulseStore)
+      .filter(p => !('prevHash' in p) && !/^[0-9a-f]{64}$/.test(p.hash));
+    if (legacy.length === 0) return;
+
+    for (const pulse of legacy) {
+      const { type, payload, timestamp: ts, author, sequence, kernelVersion } = pulse;
+      const hash = await sha256(JSON.stringify({
+        type, payload, timestamp: ts, author, sequence, kernelVersion
+      }));
+      const pulseId = `${sequence}/${hash}`;
+
+      delete this.pulseStore[pulse.id];
+      this.pulseStore[pulseId] = { ...pulse, hash, address: `pulse://${pulseId}`, id: pulseId };
+      await this._delete(STORES.PULSES, pulse.id);
+      await this._put(STORES.PULSES, pulseId, this.pulseStore[pulseId]);
+    }
+  }
+
+  async _advancePulseHead(hash) {
+    this._pulseHead = hash;
+    await this._put(STORES.META, META_KEYS.PULSE_HEAD, hash);
+  }
+
+  // ============================================
+  // PULSE CHAIN VERIFICATION (Audit Trail)
+  // ============================================
+
+  async verifyPulseChain() {
+    const keys = this._knownPublicKeys();
+
+    // Only pulses authored by this kernel's identities and emitted since
+    // chaining began belong to the chain; imported pulses are foreign
+    const bySequence = new Map();
+    Object.values(this.pulseStore)
+      .filter(p => 'prevHash' in p && keys.has(p.author))
+      .forEach(p => {
+        const n = parseInt(p.sequence, 10);
+        if (!bySequence.has(n)) bySequence.set(n, []);
+        bySequence.get(n).push(p);
+      });
+
+    let checked = 0;
+    const report = (error) => {
+      const result = { valid: !error, checked, head: this._pulseHead, error: error || null };
+      this._emit('kernel:chain:verified', result);
+      return result;
+    };
+
+    if (bySequence.size === 0) return report(null);
+
+    const start = Math.min(...bySequence.keys());
+    let prevHash = null;
+
+    for (let n = start; n <= this._pulseSequence; n++) {
+      const candidates = bySequence.get(n) || [];
+      if (candidates.length === 0) {
+        return report(chainError(CHAIN_ERROR.SEQUENCE_GAP, n, null,
+          `No pulse at sequence ${n}`));
+      }
+
+      const pulse = candidates.find(p => p.prevHash === prevHash);
+      if (!pulse) {
+        return report(chainError(CHAIN_ERROR.BROKEN_LINK, n, candidates[0].id,
+          `Pulse ${n} does not link to the previous pulse hash`));
+      }
+
+      const hash = await sha256(JSON.stringify(pulseBody(pulse)));
+      if (hash !== pulse.hash || pulse.id !== `${pulse.sequence}/${hash}`) {
+        return report(chainError(CHAIN_ERROR.HASH_MISMATCH, n, pulse.id,
+          `Pulse ${n} content does not match its hash`));
+      }
+
+      if (!(await verifySignature(keys.get(pulse.author), pulse.hash, pulse.signature))) {
+        return report(chainError(CHAIN_ERROR.BAD_SIGNATURE, n, pulse.id,
+          `Pulse ${n} signature does not verify for ${pulse.author}`));
+      }
+
+      prevHash = pulse.hash;
+      checked++;
+    }
+
+    if (prevHash !== this._pulseHead) {
+      return report(chainError(CHAIN_ERROR.HEAD_MISMATCH, this._pulseSequence, null,
+        'Chain does not end at the recorded head'));
+    }
+
+    return report(null);
+  }
+
+  _knownPublicKeys() {
+    const keys = new Map();
+    [...this.identityHistory, this.identity].forEach(id => {
+      keys.set(id.did, id.publicKeyJwk || null);
+    });
+    return keys;
+  }
+
+  // ============================================
+  // STORAGE INTEGRITY (fsck)
+  // ============================================
+
+  async fsck() {
+    // Read-only scan of every content-bearing store. Runs between
+    // transactions so it sees one consistent state, and yields to the
+    // event loop as it goes so the UI stays live during long re-hashes.
+    return this._exclusive(async () => {
+      const started = Date.now();
+      const issues = [];
+      const checked = {};
+      const report = (type, store, key, message) => {
+        issues.push(integrityIssue(type, store, key, message));
+      };
+
+      let work = 0;
+      const pause = async () => {
+        if (++work % FSCK_YIELD_EVERY === 0) await sleep(0);
+      };
+
+      // Content entries hash to their keys and their chunks exist
+      for (const [hash, entry] of Object.entries(this.contentStore)) {
+        const { mismatch } = await this._checkContentEntry(hash, entry);
+        if (mismatch) report(INTEGRITY_ISSUE.HASH_MISMATCH, STORES.CONTENT, hash, mismatch);
+        if (Array.isArray(entry.chunks)) {
+          entry.chunks
+            .filter(chunk => !this.chunkStore[chunk])
+            .forEach(chunk => report(INTEGRITY_ISSUE.MISSING_CHUNK, STORES.CONTENT, hash,
+              `Chunk ${chunk} is missing`));
+        }
+        await pause();
+      }
+      checked[STORES.CONTENT] = Object.keys(this.contentStore).length;
+
+      for (const [hash, chunk] of Object.entries(this.chunkStore)) {
+        let actual = null;
+        try {
+          actual = await sha256(base64ToBytes(chunk.data));
+        } catch (e) {
+          // Undecodable data is reported as a mismatch
+        }
+        if (actual !== hash) {
+          report(INTEGRITY_ISSUE.HASH_MISMATCH, STORES.CHUNKS, hash,
+            actual ? `Chunk hashes to ${actual}` : 'Chunk data is unreadable');
+        }
+        await pause();
+      }
+      checked[STORES.CHUNKS] = Object.keys(this.chunkStore).length;
+
+      // Pulses hash to their ids; payloads point at content that exists,
+      // unless it belonged to a post that was purged
+      const purgedPosts = new Set(this._allPosts().filter(post => post.purgedAt).map(post => post.id));
+      for (const [id, pulse] of Object.entries(this.pulseStore)) {
+        const hash = await sha256(JSON.stringify(pulseBody(pulse)));
+        if (hash !== pulse.hash || id !== `${pulse.sequence}/${hash}`) {
+          report(INTEGRITY_ISSUE.HASH_MISMATCH, STORES.PULSES, id, `Pulse hashes to ${hash}`);
+        }
+        const ref = pulseContentRef(pulse);
+        if (ref && !purgedPosts.has(pulse.payload?.postId) && !this._hasContent(ref)) {
+          report(INTEGRITY_ISSUE.DANGLING_REFERENCE, STORES.PULSES, id,
+            `${pulse.type} points at missing content ${ref}`);
+        }
+        await pause();
+      }
+      checked[STORES.PULSES] = Object.keys(this.pulseStore).length;
+
+      for (const [address, entry] of Object.entries(this.addressIndex)) {
+        if (!entry.hash || !this.contentStore[entry.hash]) {
+          report(INTEGRITY_ISSUE.ORPHANED_INDEX_ENTRY, STORES.ADDRESS_INDEX, address,
+            entry.hash ? `Content ${entry.hash} is missing` : 'Index entry has no hash');
+        }
+      }
+      checked[STORES.ADDRESS_INDEX] = Object.keys(this.addressIndex).length;
+
+      // Purged posts gave their content up deliberately
+      for (const [id, post] of Object.entries(this.posts)) {
+        if (post.hash && !post.purgedAt && !this.contentStore[post.hash]) {
+          report(INTEGRITY_ISSUE.DANGLING_REFERENCE, STORES.POSTS, id,
+            `Post ${id} points at missing content ${post.hash}`);
+        }
+      }
+      checked[STORES.POSTS] = Object.keys(this.posts).length;
+
+      for (const store of [STORES.FEEDS, STORES.CHANNELS]) {
+        const records = this._storeRecords(store);
+        for (const [key, record] of Object.entries(records)) {
+          (record.postIds || [])
+            .filter(id => !this.posts[id])
+            .forEach(id => report(INTEGRITY_ISSUE.DANGLING_REFERENCE, store, key, `Post ${id} is missing`));
+        }
+        checked[store] = Object.keys(records).length;
+      }
+
+      // Name histories are signed and chained; every version's target exists
+      for (const [key, record] of Object.entries(this.names)) {
+        const problem = await this._verifyName(key, record);
+        if (problem) report(problem.type, STORES.NAMES, key, problem.message);
+        (record.versions || [])
+          .filter(version => !this.contentStore[parseAddress(version.target)?.hash])
+          .forEach(version => report(INTEGRITY_ISSUE.DANGLING_REFERENCE, STORES.NAMES, key,
+            `Version ${version.version} points at missing content ${version.target}`));
+        await pause();
+      }
+      checked[STORES.NAMES] = Object.keys(this.names).length;
+
+      for (const [hash, pin] of Object.entries(this.pins)) {
+        if (!this.contentStore[hash]) {
+          report(INTEGRITY_ISSUE.DANGLING_REFERENCE, STORES.PINS, hash,
+            `Pin ${pin.address} points at missing content`);
+        }
+      }
+      checked[STORES.PINS] = Object.keys(this.pins).length;
+
+      const result = {
+        clean: issues.length === 0,
+        checked,
+        issues,
+        durationMs: Date.now() - started
+      };
+      this._emit('kernel:fsck:complete', result);
+      return result;
+    });
+  }
+
+  _hasContent(hashOrPrefix) {
+    // Pulse payloads may carry only a prefix of the content hash
+    return !!this.contentStore[hashOrPrefix]
+      || Object.keys(this.contentStore).some(hash => hash.startsWith(hashOrPrefix));
+  }
+
+  // ============================================
+  // IDENTITY (Kernel Authority)
+  // ============================================
+
+  getDID() {
+    return this.identity.did;
+  }
+
+  getIdentity() {
+    return { ...this.identity, document: buildDIDDocument(this.identity) };
+  }
+
+  async sign(data) {
+    if (typeof data !== 'string') throw new Error('Data to sign must be a string');
+    if (!this._signingKey) throw new Error('Signing key unavailable');
+
+    return {
+      did: this.identity.did,
+      keyId: this.identity.keyId,
+      algorithm: this.identity.algorithm,
+      signature: await signData(this._signingKey, this.identity.algorithm, data)
+    };
+  }
+
+  getIdentityHistory() {
+    return [...this.identityHistory];
+  }
+
+  async regenerateIdentity({ relinquishAuthority = false } = {}) {
+    return this._transaction('regenerateIdentity', async () => {
+      // A fresh DID is on no authority list, so a listed identity would
+      // lock the kernel out of minting and policy changes
+      if (!relinquishAuthority && this.slipPolicy.mintAuthorities.includes(this.identity.did)) {
+        throw supplyError(SUPPLY_ERROR.SELF_LOCKOUT,
+          `${this.identity.did} is a listed mint authority; pass relinquishAuthority to regenerate anyway`);
+      }
+
+      // Archive current identity (maintains audit trail)
+      this.identityHistory.push({
+        ...this.identity,
+        archivedAt: timestamp(),
+        reason: 'USER_REGENERATE'
+      });
+      await this._put(STORES.META, META_KEYS.IDENTITY_HISTORY, this.identityHistory);
+    
+      // Create new identity
+      const oldDid = this.identity.did;
+      this.identity = await this._createIdentity(false);
+    
+      // Emit pulse (links old to new for auditability)
+      await this._emitPulse(PULSE_TYPE.IDENTITY_REGENERATE, {
+        oldDid,
+        newDid: this.identity.did,
+        historyLength: this.identityHistory.length
+      });
+    
+      this._emit('kernel:identity:changed', {
+        oldDid,
+        newDid: this.identity.did,
+        history: this.identityHistory
+      });
+
+      return this.getIdentity();
+    });
+  }
+
+  // ============================================
+  // URI SCHEMES (Registry API)
+  // ============================================
+
+  registerScheme(definition) {
+    // Registry is module-wide: parseAddress / validateAddress see the new
+    // scheme too. Not a state mutation, so no pulse and no transaction.
+    const scheme = describeScheme(defineScheme(definition));
+    this._emit('kernel:scheme:registered', scheme);
+    return scheme;
+  }
+
+  getSchemes() {
+    return [...SCHEME_REGISTRY.values()].map(describeScheme);
+  }
+
+  // ============================================
+  // ADDRESS GENERATION (Kernel Authority ONLY)
+  // ============================================
+
+  async generateAddress(content, scheme = 'xhe', options = {}) {
+    return this._transaction('generateAddress', () => this._generateAddress(content, scheme, options));
+  }
+
+  async _generateAddress(content, scheme, options) {
+    // Transaction body, shared with intents that store content first
+    const definition = SCHEME_REGISTRY.get(scheme);
+    if (!definition?.generate) {
+      throw new Error(definition ? `Scheme ${scheme} cannot generate addresses` : `Unknown scheme: ${scheme}`);
+    }
+
+    const blob = isBinaryContent(content)
+      ? await readBinaryContent(content, options.mimeType)
+      : null;
+
+    if (blob ? blob.bytes.length === 0 : (!content || typeof content !== 'string')) {
+      throw new Error('Content must be a non-empty string or binary data');
+    }
+
+    // Blobs are addressed by their raw bytes, text by its UTF-8 encoding;
+    // anything over one chunk becomes a DAG addressed by its root
+    const bytes = blob ? blob.bytes : new TextEncoder().encode(content);
+    const isDag = bytes.length > BLOB_CHUNK_SIZE;
+    const layout = definition.layout;
+    const chunks = blob || isDag ? await this._putChunks(bytes) : null;
+    const hash = isDag
+      ? await dagRoot({ layout, chunks, size: bytes.length, chunkSize: BLOB_CHUNK_SIZE })
+      : await sha256(bytes);
+    const ts = timestamp();
+    const address = definition.generate({ hash, isDag, options, kernel: this });
+    if (parseAddress(address)?.scheme !== scheme) {
+      throw new Error(`Scheme ${scheme} generated an address it cannot parse: ${address}`);
+    }
+
+    // Store in kernel content store (authoritative). Chunked bytes live
+    // in the chunk store; the entry (the manifest, for a DAG) lists them
+    // in order.
+    this.contentStore[hash] = chunks
+      ? {
+          mimeType: blob ? blob.mimeType : TEXT_MIME_TYPE,
+          name: blob ? blob.name : null,
+          size: bytes.length,
+          ...(isDag && { chunkSize: BLOB_CHUNK_SIZE, layout }),
+          chunks,
+          timestamp: ts,
+          author: this.identity.did,
+          scheme
+        }
+      : {
+          content,
+          timestamp: ts,
+          author: this.identity.did,
+          scheme
+        };
+    await this._put(STORES.CONTENT, hash, this.contentStore[hash]);
+
+    // Update address index (non-authoritative, derivable)
+    this.addressIndex[address] = {
+      hash,
+      type: scheme,
+      timestamp: ts,
+      preview: blob
+        ? blobPreview({ ...blob, size: blob.bytes.length })
+        : content.slice(0, 50) + (content.length > 50 ? '...' : ''),
+      ...(blob && { mimeType: blob.mimeType })
+    };
+    await this._put(STORES.ADDRESS_INDEX, address, this.addressIndex[address]);
+
+    // Emit pulse
+    const pulseResult = await this._emitPulse(PULSE_TYPE.ADDRESS_GENERATE, {
+      address,
+      scheme,
+      hash: hash.slice(0, 16) + '...',
+      ...(blob && { mimeType: blob.mimeType, size: blob.bytes.length }),
+      ...(isDag && { chunks: chunks.length })
+    });
+
+    return { 
+      address, 
+      hash, 
+      timestamp: ts,
+      pulseId: pulseResult.pulseId
+    };
+  }
+
+  async _putChunks(bytes) {
+    // Chunks are keyed by their own hash, so a chunk shared by several
+    // documents (or repeated within one) is stored once
+    const hashes = [];
+    for (let offset = 0; offset < bytes.length; offset += BLOB_CHUNK_SIZE) {
+      const chunk = bytes.subarray(offset, offset + BLOB_CHUNK_SIZE);
+      const hash = await sha256(chunk);
+      if (!this.chunkStore[hash]) {
+        this.chunkStore[hash] = { data: bytesToBase64(chunk), size: chunk.length };
+        await this._put(STORES.CHUNKS, hash, this.chunkStore[hash]);
+      }
+      hashes.push(hash);
+    }
+    return hashes;
+  }
+
+  _readChunks(hashes) {
+    // Reassembles a blob; null when any chunk is missing locally
+    if (!hashes.every(hash => this.chunkStore[hash])) return null;
+
+    const parts = hashes.map(hash => base64ToBytes(this.chunkStore[hash].data));
+    const bytes = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    return bytes;
+  }
+
+  // ============================================
+  // ADDRESS RESOLUTION (Kernel Authority ONLY)
+  // Returns structured truth states
+  // ============================================
+
+  async resolveAddress(address) {
+    return this._transaction('resolveAddress', async () => {
+      const validation = validateAddress(address);
+    
+      if (!validation.valid) {
+        return {
+          state: RESOLUTION_STATE.INVALID,
+          type: 'unknown',
+          reason: validation.reason,
+          error: validation.error,
+          address
+        };
+      }
+      const { parsed } = validation;
+
+      // Emit resolution attempt pulse
+      await this._emitPulse(PULSE_TYPE.ADDRESS_RESOLVE, {
+        address: address.slice(0, 40),
+        scheme: parsed.scheme
+      });
+
+      // Resolve the resource itself, then any sub-resource inside it
+      const result = await this._resolveBase(parsed);
+      const hasSubResource = parsed.path.length > 0 || parsed.fragment !== null;
+      return {
+        ...(hasSubResource ? this._resolveSubResource(parsed, result) : result),
+        address
+      };
+    });
+  }
+
+  async _resolveBase(parsed) {
+    // Lookups use the canonical base address (no path/query/fragment)
+    const definition = SCHEME_REGISTRY.get(parsed.scheme);
+    const result = await definition.resolve(parsed, {
+      kernel: this,
+      resolveContent: () => this._resolveContentAddress(parsed.base, parsed)
+    });
+    return { type: parsed.scheme, address: parsed.base, ...result };
+  }
+
+  _resolveSubResource(parsed, result) {
+    // e.g. channel://<id>/posts/3 or did:xhe:<id>#key-1
+    if (result.state !== RESOLUTION_STATE.RESOLVED) return result;
+
+    const root = result.document || result.manifest || result.record;
+    if (!root) {
+      return {
+        state: RESOLUTION_STATE.INVALID,
+        type: result.type,
+        reason: ADDRESS_ERROR.NO_SUB_RESOURCES,
+        error: `${parsed.scheme} content has no sub-resources`
+      };
+    }
+
+    const target = parsed.path.map(segment => `/${segment}`).join('')
+      + (parsed.fragment !== null ? `#${parsed.fragment}` : '');
+    const value = selectSubResource(root, parsed.path, parsed.fragment, parsed.base);
+    if (value === undefined) {
+      return {
+        state: RESOLUTION_STATE.UNKNOWN,
+        type: result.type,
+        error: `No sub-resource ${target} in ${parsed.base}`
+      };
+    }
+
+    return {
+      state: RESOLUTION_STATE.RESOLVED,
+      type: result.type,
+      content: typeof value === 'string' ? value : JSON.stringify(value, null, 2),
+      value,
+      subResource: target,
+      metadata: result.metadata
+    };
+  }
+
+  async _resolveContentAddress(address, parsed) {
+    // Check content store (authoritative); the entry is re-hashed against
+    // the address before anything is returned
+    if (this.contentStore[parsed.hash]) {
+      const entry = this.contentStore[parsed.hash];
+      const metadata = {
+        timestamp: entry.timestamp,
+        author: entry.author,
+        scheme: entry.scheme
+      };
+
+      const { bytes, missing, mismatch } = await this._checkContentEntry(parsed.hash, entry);
+      if (mismatch) {
+        this._emit('kernel:integrity:error', { address, hash: parsed.hash, error: mismatch });
+        return {
+          state: RESOLUTION_STATE.CORRUPTED,
+          type: parsed.scheme,
+          error: mismatch,
+          metadata,
+          address
+        };
+      }
+
+      if (entry.chunkSize) {
+        // Merkle DAG: the root resolves to its manifest; bytes are read
+        // a range at a time through resolveRange
+        const manifest = this._buildManifest(parsed.hash, entry);
+        return {
+          state: RESOLUTION_STATE.RESOLVED,
+          type: parsed.scheme,
+          content: JSON.stringify(manifest, null, 2),
+          manifest,
+          mimeType: entry.mimeType,
+          metadata: { ...metadata, name: entry.name, size: entry.size },
+          address
+        };
+      }
+
+      if (!entry.chunks) {
+        return {
+          state: RESOLUTION_STATE.RESOLVED,
+          type: parsed.scheme,
+          content: entry.content,
+          mimeType: TEXT_MIME_TYPE,
+          metadata,
+          address
+        };
+      }
+
+      // Blob: content is the reassembled bytes (Uint8Array)
+      if (missing) {
+        return {
+          state: RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE,
+          type: parsed.scheme,
+          error: 'Blob chunks not available locally',
+          mimeType: entry.mimeType,
+          metadata: { ...metadata, name: entry.name, size: entry.size },
+          address
+        };
+      }
+
+      return {
+        state: RESOLUTION_STATE.RESOLVED,
+        type: parsed.scheme,
+        content: bytes,
+        mimeType: entry.mimeType,
+        metadata: { ...metadata, name: entry.name, size: entry.size },
+        address
+      };
+    }
+
+    // Check if known in index but content missing
+    if (this.addressIndex[address]) {
+      return {
+        state: RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE,
+        type: parsed.scheme,
+        error: 'Address known but content not available locally',
+        metadata: this.addressIndex[address],
+        address
+      };
+    }
+
+    return {
+      state: RESOLUTION_STATE.UNKNOWN,
+      type: parsed.scheme,
+      error: 'Address not found in kernel state',
+      address
+    };
+  }
+
+  async _checkContentEntry(hash, entry) {
+    // Re-hashes one content entry against its key. A DAG's chunk list is
+    // checked against its root (chunks themselves are checked as they are
+    // read); other entries are hashed whole. Returns { bytes, missing, mismatch }.
+    try {
+      if (entry.chunks !== undefined && !Array.isArray(entry.chunks)) {
+        return { mismatch: 'Content entry has a malformed chunk list' };
+      }
+
+      if (entry.chunkSize) {
+        const root = await dagRoot(entry);
+        return { mismatch: root === hash ? null : `Chunk list has root ${root}, not ${hash}` };
+      }
+
+      if (entry.chunks) {
+        const bytes = this._readChunks(entry.chunks);
+        if (!bytes) return { missing: true };
+        const actual = await sha256(bytes);
+        return { bytes, mismatch: actual === hash ? null : `Content hashes to ${actual}, not ${hash}` };
+      }
+
+      if (typeof entry.content !== 'string') {
+        return { mismatch: 'Content entry has neither text nor chunks' };
+      }
+      const actual = await sha256(entry.content);
+      return { mismatch: actual === hash ? null : `Content hashes to ${actual}, not ${hash}` };
+    } catch (e) {
+      return { mismatch: `Content entry unreadable: ${e.message}` };
+    }
+  }
+
+  _buildManifest(root, entry) {
+    return {
+      root,
+      layout: entry.layout || DAG_LAYOUT.MERKLE,
+      mimeType: entry.mimeType,
+      name: entry.name,
+      size: entry.size,
+      chunkSize: entry.chunkSize,
+      chunks: entry.chunks.map((hash, i) => ({
+        hash,
+        offset: i * entry.chunkSize,
+        size: Math.min(entry.chunkSize, entry.size - i * entry.chunkSize),
+        available: !!this.chunkStore[hash]
+      }))
+    };
+  }
+
+  async resolveRange(address, start = 0, end = undefined) {
+    // Partial read of content bytes [start, end). For a DAG only the chunks
+    // covering the range are read, each verified against its hash (and the
+    // chunk list against its root) before any byte is returned. Smaller
+    // blobs fit one chunk and have no root over it, so they are hashed whole.
+    const parsed = parseAddress(address);
+    if (!parsed || !SCHEME_REGISTRY.get(parsed.scheme).contentAddressed) {
+      return {
+        state: RESOLUTION_STATE.INVALID,
+        type: parsed?.scheme || 'unknown',
+        error: 'Range resolution needs a content address (e.g. xhe:// or ipfs://)',
+        address
+      };
+    }
+
+    const entry = this.contentStore[parsed.hash];
+    if (!entry) {
+      return {
+        state: this.addressIndex[address] ? RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE : RESOLUTION_STATE.UNKNOWN,
+        type: parsed.scheme,
+        error: 'Content not available locally',
+        address
+      };
+    }
+
+    const inline = entry.chunks ? null : new TextEncoder().encode(entry.content);
+    const size = inline ? inline.length : entry.size;
+    end = end === undefined ? size : Math.min(end, size);
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || start > end) {
+      return {
+        state: RESOLUTION_STATE.INVALID,
+        type: parsed.scheme,
+        error: `Invalid range [${start}, ${end}) for ${size} bytes`,
+        address
+      };
+    }
+
+    const result = (content) => ({
+      state: RESOLUTION_STATE.RESOLVED,
+      type: parsed.scheme,
+      content,
+      start,
+      end,
+      size,
+      mimeType: entry.mimeType || TEXT_MIME_TYPE,
+      address
+    });
+    const unavailable = (error) => ({
+      state: RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE,
+      type: parsed.scheme,
+      error,
+      address
+    });
+    const corrupted = (error) => {
+      this._emit('kernel:integrity:error', { address, hash: parsed.hash, error });
+      return { state: RESOLUTION_STATE.CORRUPTED, type: parsed.scheme, error, address };
+    };
+
+    if (inline) {
+      return await sha256(inline) === parsed.hash
+        ? result(inline.slice(start, end))
+        : corrupted('Content does not match its address');
+    }
+
+    if (!entry.chunkSize) {
+      const { bytes, missing, mismatch } = await this._checkContentEntry(parsed.hash, entry);
+      if (missing) return unavailable('Blob chunks not available locally');
+      if (mismatch) return corrupted(mismatch);
+      return result(bytes.slice(start, end));
+    }
+
+    if (await dagRoot(entry) !== parsed.hash) {
+      return corrupted('Manifest chunk list does not match its root');
+    }
+
+    const chunkSize = entry.chunkSize;
+    const bytes = new Uint8Array(end - start);
+    for (let i = Math.floor(start / chunkSize); i * chunkSize < end; i++) {
+      const hash = entry.chunks[i];
+      const chunk = this.chunkStore[hash];
+      if (!chunk) return unavailable(`Chunk ${i} not available locally`);
+
+      let data = null;
+      try {
+        data = base64ToBytes(chunk.data);
+      } catch (e) {
+        // Undecodable chunk data fails verification below
+      }
+      if (!data || await sha256(data) !== hash) return corrupted(`Chunk ${i} failed verification`);
+
+      const offset = i * chunkSize;
+      const from = Math.max(start, offset) - offset;
+      const to = Math.min(end, offset + data.length) - offset;
+      bytes.set(data.subarray(from, to), offset + from - start);
+    }
+
+    return result(bytes);
+  }
+
+  _resolveIdentityAddress(address, parsed) {
+    // Check if it's our identity
+    if (address === this.identity.did) {
+      const document = buildDIDDocument(this.identity);
+      return {
+        state: RESOLUTION_STATE.RESOLVED,
+        type: 'did:xhe',
+        content: JSON.stringify(document, null, 2),
+        document,
+        metadata: {
+          isOwn: true,
+          created: this.identity.created,
+          algorithm: this.identity.algorithm,
+          slipBalance: this.slipLedger.balances[this.identity.did] || 0
+        },
+        address
+      };
+    }
+
+    // Check identity history (archived keys still verify past signatures)
+    const historical = this.identityHistory.find(h => h.did === address);
+    if (historical) {
+      return {
+        state: RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE,
+        type: 'did:xhe',
+        error: 'Historical identity (no longer active)',
+        document: historical.publicKeyJwk ? buildDIDDocument(historical) : null,
+        metadata: {
+          archivedAt: historical.archivedAt,
+          reason: historical.reason,
+          deactivated: true
+        },
+        address
+      };
+    }
+
+    // Check if we know this DID from social graph
+    const known = this.socialGraph.following.includes(address) || 
+                  this.socialGraph.followers.includes(address);
+    if (known) {
+      return {
+        state: RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE,
+        type: 'did:xhe',
+        error: 'Known identity but full data not available locally',
+        address
+      };
+    }
+
+    return {
+      state: RESOLUTION_STATE.UNKNOWN,
+      type: 'did:xhe',
+      error: 'Identity not found in kernel state',
+      address
+    };
+  }
+
+  _resolvePulseAddress(address, parsed) {
+    const pulseKey = `${parsed.sequence}/${parsed.hash}`;
+    
+    if (this.pulseStore[pulseKey]) {
+      const pulse = this.pulseStore[pulseKey];
+      return {
+        state: RESOLUTION_STATE.RESOLVED,
+        type: 'pulse',
+        content: JSON.stringify(pulse, null, 2),
+        record: pulse,
+        metadata: {
+          type: pulse.type,
+          author: pulse.author,
+          timestamp: pulse.timestamp,
+          sequence: pulse.sequence
+        },
+        address
+      };
+    }
+
+    return {
+      state: RESOLUTION_STATE.UNKNOWN,
+      type: 'pulse',
+      error: 'Pulse not found in kernel state',
+      address
+    };
+  }
+
+  _resolveSlipAddress(address, parsed) {
+    const tx = this.slipLedger.transactions.find(t => t.id === parsed.hash);
+    if (tx) {
+      return {
+        state: RESOLUTION_STATE.RESOLVED,
+        type: 'slip',
+        content: JSON.stringify(tx, null, 2),
+        record: tx,
+        metadata: tx,
+        address
+      };
+    }
+
+    return {
+      state: RESOLUTION_STATE.UNKNOWN,
+      type: 'slip',
+      error: 'Slip transaction not found',
+      address
+    };
+  }
+
+  _resolveAssetAddress(address, parsed) {
+    const asset = this.getAsset(parsed.hash);
+    if (asset) {
+      const record = { ...asset, supply: this.getTotalSupply(asset.id) };
+      return {
+        state: RESOLUTION_STATE.RESOLVED,
+        type: 'slip-asset',
+        content: JSON.stringify(record, null, 2),
+        record,
+        metadata: record,
+        address
+      };
+    }
+
+    return {
+      state: RESOLUTION_STATE.UNKNOWN,
+      type: 'slip-asset',
+      error: 'Asset not defined in this kernel',
+      address
+    };
+  }
+
+  _resolveFeedAddress(address, parsed) {
+    if (this.feeds[parsed.hash]) {
+      const record = this._withPosts(this.feeds[parsed.hash]);
+      return {
+        state: RESOLUTION_STATE.RESOLVED,
+        type: 'feed',
+        content: JSON.stringify(record, null, 2),
+        record,
+        metadata: record,
+        address
+      };
+    }
+
+    return {
+      state: RESOLUTION_STATE.UNKNOWN,
+      type: 'feed',
+      error: 'Feed not found',
+      address
+    };
+  }
+
+  _resolveChannelAddress(address, parsed) {
+    if (this.channels[parsed.hash]) {
+      const record = this._withPosts(this.channels[parsed.hash]);
+      return {
+        state: RESOLUTION_STATE.RESOLVED,
+        type: 'channel',
+        content: JSON.stringify(record, null, 2),
+        record,
+        metadata: record,
+        address
+      };
+    }
+
+    return {
+      state: RESOLUTION_STATE.UNKNOWN,
+      type: 'channel',
+      error: 'Channel not found',
+      address
+    };
+  }
+
+  async _resolveNameAddress(address, parsed) {
+    // Latest version unless ?v= pins one; resolves to the target content
+    const record = this.names[parsed.hash];
+    if (!record) {
+      return {
+        state: RESOLUTION_STATE.UNKNOWN,
+        type: 'name',
+        error: 'Name not found',
+        address
+      };
+    }
+
+    const problem = await this._verifyName(parsed.hash, record);
+    if (problem) {
+      this._emit('kernel:integrity:error', { address, hash: parsed.hash, error: problem.message });
+      return {
+        state: RESOLUTION_STATE.CORRUPTED,
+        type: 'name',
+        error: problem.message,
+        address
+      };
+    }
+
+    const latest = record.versions.length;
+    const version = record.versions[(parsed.version ?? latest) - 1];
+    if (!version) {
+      return {
+        state: RESOLUTION_STATE.UNKNOWN,
+        type: 'name',
+        error: `No version ${parsed.version ?? 1} of ${address} (latest is ${latest})`,
+        address
+      };
+    }
+
+    const target = parseAddress(version.target);
+    const result = await this._resolveContentAddress(target.base, target);
+    return {
+      ...result,
+      type: 'name',
+      target: version.target,
+      pointer: {
+        ...nameVersionInfo(version),
+        owner: record.owner,
+        latest
+      },
+      address
+    };
+  }
+
+  // ============================================
+  // ADDRESS INDEX (Non-Authoritative View)
+  // ============================================
+
+  getAddressIndex(filter = 'all') {
+    const entries = Object.entries(this.addressIndex).map(([address, data]) => ({
+      address,
+      ...data
+    }));
+
+    if (filter === 'all') {
+      return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    return entries
+      .filter(e => e.type === filter)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async clearAddressIndex() {
+    return this._transaction('clearAddressIndex', async () => {
+      // Only clears index, NOT kernel content store
+      await this._clear(STORES.ADDRESS_INDEX);
+      this.addressIndex = {};
+      this._emit('kernel:index:cleared');
+    });
+  }
+
+  // ============================================
+  // PINNING & GARBAGE COLLECTION (Content Store)
+  // ============================================
+
+  async pin(address) {
+    return this._transaction('pin', async () => {
+      const hash = this._pinnableHash(address);
+      if (!this.contentStore[hash]) throw new Error(`${address} is not in the kernel content store`);
+
+      if (!this.pins[hash]) {
+        this.pins[hash] = { address, pinnedAt: timestamp() };
+        await this._put(STORES.PINS, hash, this.pins[hash]);
+        await this._emitPulse(PULSE_TYPE.CONTENT_PIN, { address });
+      }
+      return { hash, ...this.pins[hash] };
+    });
+  }
+
+  async unpin(address) {
+    return this._transaction('unpin', async () => {
+      const hash = this._pinnableHash(address);
+      if (!this.pins[hash]) return false;
+
+      delete this.pins[hash];
+      await this._delete(STORES.PINS, hash);
+      await this._emitPulse(PULSE_TYPE.CONTENT_UNPIN, { address });
+      return true;
+    });
+  }
+
+  isPinned(address) {
+    const parsed = parseAddress(address);
+    return !!(parsed && this.pins[parsed.hash]);
+  }
+
+  getPins() {
+    return Object.entries(this.pins)
+      .map(([hash, pin]) => ({ hash, ...pin }))
+      .sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt));
+  }
+
+  _pinnableHash(address) {
+    const parsed = parseAddress(address);
+    if (!parsed || !SCHEME_REGISTRY.get(parsed.scheme).contentAddressed) {
+      throw new Error('Only content addresses (e.g. xhe:// or ipfs://) can be pinned');
+    }
+    return parsed.hash;
+  }
+
+  async collectGarbage({ dryRun = false } = {}) {
+    // Mark and sweep. Roots are pins, posts, pulse payloads and name
+    // versions; a chunk lives while a live entry lists it. Index entries
+    // for swept content go too (the index is derivable).
+    // A dry run reports the same sweep without writing anything.
+    return this._transaction('collectGarbage', async () => {
+      const { content: liveContent, chunks: liveChunks } = this._markLiveContent();
+
+      const content = Object.keys(this.contentStore).filter(hash => !liveContent.has(hash));
+      const chunks = Object.keys(this.chunkStore).filter(hash => !liveChunks.has(hash));
+      const swept = new Set(content);
+      const addresses = Object.keys(this.addressIndex)
+        .filter(address => swept.has(this.addressIndex[address].hash));
+
+      // Inline text is counted here; chunked bytes are counted per chunk,
+      // since chunks can be shared with live content
+      const bytes = content.reduce((sum, hash) => sum + (this.contentStore[hash].chunks
+        ? 0
+        : new TextEncoder().encode(this.contentStore[hash].content || '').length), 0)
+        + chunks.reduce((sum, hash) => sum + (this.chunkStore[hash].size || 0), 0);
+
+      const report = { dryRun, content, chunks, addresses, bytes };
+
+      if (!dryRun) {
+        for (const hash of content) {
+          delete this.contentStore[hash];
+          await this._delete(STORES.CONTENT, hash);
+        }
+        for (const hash of chunks) {
+          delete this.chunkStore[hash];
+          await this._delete(STORES.CHUNKS, hash);
+        }
+        for (const address of addresses) {
+          delete this.addressIndex[address];
+          await this._delete(STORES.ADDRESS_INDEX, address);
+        }
+
+        if (content.length > 0 || chunks.length > 0) {
+          await this._emitPulse(PULSE_TYPE.STORAGE_GC, {
+            content: content.length,
+            chunks: chunks.length,
+            bytes
+          });
+        }
+      }
+
+      this._emit('kernel:gc:complete', report);
+      return report;
+    });
+  }
+
+  _markLiveContent() {
+    const hashes = Object.keys(this.contentStore);
+    const content = new Set();
+    const mark = (ref) => {
+      if (!ref) return;
+      if (this.contentStore[ref]) {
+        content.add(ref);
+        return;
+      }
+      // Pulse payloads may carry only a prefix of the content hash
+      hashes.filter(hash => hash.startsWith(ref)).forEach(hash => content.add(hash));
+    };
+
+    Object.keys(this.pins).forEach(mark);
+    Object.values(this.posts).forEach(post => postHashes(post).forEach(mark));
+    Object.values(this.pulseStore).forEach(pulse => mark(pulseContentRef(pulse)));
+    Object.values(this.names)
+      .forEach(record => (record.versions || []).forEach(version => mark(parseAddress(version.target)?.hash)));
+
+    const chunks = new Set();
+    content.forEach(hash => {
+      const entry = this.contentStore[hash];
+      if (Array.isArray(entry.chunks)) entry.chunks.forEach(chunk => chunks.add(chunk));
+    });
+
+    return { content, chunks };
+  }
+
+  // ============================================
+  // NAMES (Signed Mutable Pointers)
+  // name://<did>/<label> -> latest xhe:// version
+  // ============================================
+
+  async publishName(label, target, options = {}) {
+    return this._transaction('publishName', async () => {
+      if (typeof label !== 'string' || !NAME_LABEL_PATTERN.test(label)) {
+        throw new Error("Name label may only contain letters, digits, '_', '-' and '.'");
+      }
+      if (!this._signingKey || !this.identity.publicKeyJwk) throw new Error('Signing key unavailable');
+
+      // Point at existing content by its xhe:// address, or store new content
+      const parsed = typeof target === 'string' ? parseAddress(target) : null;
+      let hash;
+      if (parsed?.scheme === URI_SCHEMES.XHE) {
+        if (parsed.path.length > 0 || parsed.fragment !== null) {
+          throw new Error('A name points at whole content, not a sub-resource');
+        }
+        if (!this.contentStore[parsed.hash]) throw new Error(`${parsed.base} is not in the kernel content store`);
+        hash = parsed.hash;
+      } else {
+        ({ hash } = await this._generateAddress(target, URI_SCHEMES.XHE, options));
+      }
+
+      const key = `${this.identity.did}/${label}`;
+      const record = this.names[key] || {
+        address: `name://${key}`,
+        owner: this.identity.did,
+        label,
+        // Carried so any kernel can check the owner's signatures
+        publicKeyJwk: this.identity.publicKeyJwk,
+        versions: []
+      };
+      const head = record.versions[record.versions.length - 1] || null;
+
+      // Republishing the current target is a no-op
+      if (head?.target === `xhe://${hash}`) return nameVersionInfo(head);
+
+      const version = {
+        name: record.address,
+        version: record.versions.length + 1,
+        target: `xhe://${hash}`,
+        timestamp: timestamp(),
+        author: this.identity.did,
+        prevHash: head ? head.hash : null
+      };
+      version.hash = await sha256(JSON.stringify(nameVersionBody(version)));
+      version.signature = await signData(this._signingKey, this.identity.algorithm, version.hash);
+
+      this.names[key] = { ...record, versions: [...record.versions, version] };
+      await this._put(STORES.NAMES, key, this.names[key]);
+
+      await this._emitPulse(PULSE_TYPE.NAME_PUBLISH, {
+        name: record.address,
+        version: version.version,
+        target: version.target
+      });
+
+      this._emit('kernel:name:published', nameVersionInfo(version));
+      return nameVersionInfo(version);
+    });
+  }
+
+  getNames() {
+    return Object.values(this.names)
+      .map(record => {
+        const head = record.versions[record.versions.length - 1];
+        return {
+          address: record.address,
+          owner: record.owner,
+          label: record.label,
+          isOwn: record.owner === this.identity.did,
+          versions: record.versions.length,
+          target: head?.target || null,
+          updated: head?.timestamp || null
+        };
+      })
+      .sort((a, b) => new Date(b.updated) - new Date(a.updated));
+  }
+
+  getNameHistory(name) {
+    // Oldest first. Takes a name:// address or a label of this identity.
+    const key = name.startsWith(`${URI_SCHEMES.NAME}://`)
+      ? parseAddress(name)?.hash
+      : `${this.identity.did}/${name}`;
+    const record = key && this.names[key];
+    return record ? record.versions.map(nameVersionInfo) : [];
+  }
+
+  async _verifyName(key, record) {
+    // Every version must be signed by the owner and chained to the one
+    // before it. Returns null, or { type, message } for the first problem.
+    const problem = (type, message) => ({ type, message });
+
+    if (!Array.isArray(record?.versions) || record.address !== `name://${key}`
+      || key !== `${record.owner}/${record.label}`) {
+      return problem(INTEGRITY_ISSUE.HASH_MISMATCH, `Name record is not stored under ${key}`);
+    }
+    if (await didForPublicKey(record.publicKeyJwk) !== record.owner) {
+      return problem(INTEGRITY_ISSUE.BAD_SIGNATURE, `Owner key does not derive ${record.owner}`);
+    }
+
+    let prevHash = null;
+    for (const [i, version] of record.versions.entries()) {
+      const n = i + 1;
+      if (version.version !== n || version.prevHash !== prevHash
+        || version.name !== record.address || version.author !== record.owner) {
+        return problem(INTEGRITY_ISSUE.HASH_MISMATCH, `Version ${n} does not link to version ${i}`);
+      }
+      if (await sha256(JSON.stringify(nameVersionBody(version))) !== version.hash) {
+        return problem(INTEGRITY_ISSUE.HASH_MISMATCH, `Version ${n} content does not match its hash`);
+      }
+      if (!(await verifySignature(record.publicKeyJwk, version.hash, version.signature))) {
+        return problem(INTEGRITY_ISSUE.BAD_SIGNATURE, `Version ${n} signature does not verify for ${record.owner}`);
+      }
+      prevHash = version.hash;
+    }
+    return null;
+  }
+
+  // ============================================
+  // SLIP SYSTEM (Economic Layer)
+  // ============================================
+
+  getSlipBalance(did = null, asset = DEFAULT_ASSET) {
+    const target = did || this.identity.did;
+    return this.slipLedger.balances[assetAccount(target, asset)] || 0;
+  }
+
+  getAssetBalances(did = null) {
+    // Every asset this kernel knows, with the identity's balance in it
+    return this.getAssets().map(asset => ({ asset, balance: this.getSlipBalance(did, asset.id) }));
+  }
+
+  getAssets() {
+    const issued = Object.values(this.assets).sort((a, b) => a.id.localeCompare(b.id));
+    return [DEFAULT_ASSET_DEFINITION, ...issued];
+  }
+
+  getAsset(assetId = DEFAULT_ASSET) {
+    return assetId === DEFAULT_ASSET ? DEFAULT_ASSET_DEFINITION : this.assets[assetId] || null;
+  }
+
+  async defineAsset({ symbol, name = '', decimals = 0 } = {}) {
+    return this._transaction('defineAsset', async () => {
+      if (!ASSET_SYMBOL_PATTERN.test(symbol)) throw new Error('Asset symbol must be 2-12 uppercase letters or digits');
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_ASSET_DECIMALS) {
+        throw new Error(`Decimals must be an integer from 0 to ${MAX_ASSET_DECIMALS}`);
+      }
+
+      // Assets are namespaced by issuer, so only this identity can issue it
+      const id = `${this.identity.did}/${symbol}`;
+      if (this.assets[id]) throw new Error(`Asset already defined: ${symbol}`);
+
+      const asset = {
+        id,
+        symbol,
+        name: name || symbol,
+        decimals,
+        issuer: this.identity.did,
+        createdAt: timestamp(),
+        address: `slip-asset://${id}`
+      };
+      this.assets[id] = asset;
+      await this._put(STORES.ASSETS, id, asset);
+
+      await this._emitPulse(PULSE_TYPE.SLIP_ASSET, { asset: asset.address, decimals });
+
+      return asset;
+    });
+  }
+
+  _requireAsset(assetId) {
+    const asset = this.getAsset(assetId);
+    if (!asset) throw new Error(`Unknown asset: ${assetId}`);
+    return asset;
+  }
+
+  async mintSlips(amount, reason = 'GENESIS', assetId = DEFAULT_ASSET) {
+    return this._transaction('mintSlips', async () => {
+      if (amount <= 0) throw new Error('Amount must be positive');
+      const asset = this._requireAsset(assetId);
+      // The supply policy governs slips; issued assets answer to their issuer
+      if (asset.issuer === null) {
+        this._checkMintPolicy(amount);
+      } else if (asset.issuer !== this.identity.did) {
+        throw supplyError(SUPPLY_ERROR.NOT_AUTHORIZED, `Only ${asset.issuer} can mint ${asset.symbol}`);
+      }
+    
+      const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.MINT, {
+        to: this.identity.did,
+        amount,
+        asset: asset.id,
+        reason
+      }));
+      await this._signIssuanceNote(tx);
+
+      await this._emitPulse(PULSE_TYPE.SLIP_MINT, {
+        amount,
+        asset: asset.id,
+        reason,
+        newBalance: this.getSlipBalance(null, asset.id)
+      });
+
+      return tx;
+    });
+  }
+
+  async transferSlips(toDid, amount, memo = '', assetId = DEFAULT_ASSET) {
+    return this._transaction('transferSlips', () => this._transferSlips(toDid, amount, memo, assetId));
+  }
+
+  async _transferSlips(toDid, amount, memo, assetId = DEFAULT_ASSET, fields = {}) {
+    // Checks run before any write, so a failed transfer leaves nothing staged
+    if (amount <= 0) throw new Error('Amount must be positive');
+    if (!DID_PATTERN.test(toDid)) throw new Error('Recipient must be a did:xhe identity');
+    if (toDid === this.identity.did) throw new Error('Cannot transfer to self');
+    const asset = this._requireAsset(assetId);
+  
+    const fromBalance = this.getSlipBalance(null, asset.id);
+    if (fromBalance < amount) {
+      throw new Error(`Insufficient ${asset.symbol}: have ${fromBalance}, need ${amount}`);
+    }
+
+    // The transfer travels as a signed note; the recipient's kernel
+    // credits it on import (see exportSlipNote / importSlipNote)
+    const note = await this._signSlipNote(toDid, amount, memo, asset);
+    const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.TRANSFER, {
+      from: this.identity.did,
+      to: toDid,
+      amount,
+      asset: asset.id,
+      memo,
+      ...fields,
+      note: note.hash,
+      nonce: note.nonce
+    }));
+
+    await this._emitPulse(PULSE_TYPE.SLIP_TRANSFER, {
+      to: toDid.slice(0, 20) + '...',
+      amount,
+      asset: asset.id,
+      memo,
+      nonce: note.nonce
+    });
+
+    return tx;
+  }
+
+  async _signSlipNote(to, amount, memo, asset = DEFAULT_ASSET_DEFINITION) {
+    const from = this.identity.did;
+    if (!this._signingKey || !this.identity.publicKeyJwk) throw new Error('Signing key unavailable');
+
+    // Spend every credited note not cited by an earlier note of ours
+    const cited = new Set(this._sentSlipNotes(from).flatMap(note => note.inputs));
+    const inputs = this._receivedSlipNotes(from).filter(note => !cited.has(note.hash));
+
+    // Locked escrows will be paid out as notes, so their slips are spoken for
+    const provable = this.getProvableBalance(from, asset.id)
+      - (asset.id === DEFAULT_ASSET ? this._escrowedAmount(from) : 0);
+    if (provable < amount) {
+      throw new Error(`Only ${provable} ${asset.symbol} are provable to other kernels`);
     }
 
-    // Store in kernel content store (authoritative)
-    this.contentStore[hash] = {
-      content,
-      timestamp: ts,
-      author: this.identity.did,
-      scheme
-    };
-    saveState(STORAGE_KEYS.CONTENT_STORE, this.contentStore);
+    return this._appendSlipNote(this.identity, {
+      to,
+      amount,
+      memo,
+      inputs: inputs.map(input => input.hash),
+      ...(asset.id !== DEFAULT_ASSET && { asset: asset.id, decimals: asset.decimals })
+    });
+  }
 
-    // Update address index (non-authoritative, derivable)
-    this.addressIndex[address] = {
-      hash,
-      type: scheme,
-      timestamp: ts,
-      preview: content.slice(0, 50) + (content.length > 50 ? '...' : '')
+  async _signIssuanceNote(tx, identity = this.identity) {
+    // Slips issued to an identity this kernel holds the key for become
+    // provable through a note from the identity to itself
+    if (txAsset(tx) !== DEFAULT_ASSET || tx.to !== identity?.did) return null;
+    if (!this._signingKey || !identity.publicKeyJwk) return null;
+    return this._appendSlipNote(identity, {
+      to: identity.did,
+      amount: tx.amount,
+      memo: tx.reason || tx.type,
+      inputs: []
+    });
+  }
+
+  async _appendSlipNote(identity, fields) {
+    // Next link in the identity's note chain, signed with its key
+    const sent = this._sentSlipNotes(identity.did);
+    const note = {
+      version: SLIP_NOTE_VERSION,
+      from: identity.did,
+      ...fields,
+      nonce: sent.length + 1,
+      prev: sent.length > 0 ? sent[sent.length - 1].hash : null,
+      timestamp: timestamp()
     };
-    saveState(STORAGE_KEYS.ADDRESS_INDEX, this.addressIndex);
+    note.hash = await sha256(JSON.stringify(slipNoteBody(note)));
+    note.signature = await signData(this._signingKey, identity.algorithm, note.hash);
+    note.publicKeyJwk = identity.publicKeyJwk;
 
-    // Emit pulse
-    const pulseResult = await this._emitPulse(PULSE_TYPE.ADDRESS_GENERATE, {
-      address,
-      scheme,
-      hash: hash.slice(0, 16) + '...'
+    this.slipNotes[note.hash] = note;
+    await this._put(STORES.SLIP_NOTES, note.hash, note);
+    return note;
+  }
+
+  _sentSlipNotes(did) {
+    return Object.values(this.slipNotes)
+      .filter(note => note.from === did)
+      .sort((a, b) => a.nonce - b.nonce);
+  }
+
+  _receivedSlipNotes(did) {
+    // Only notes this kernel has credited count as received
+    const credited = new Set(this.slipLedger.transactions
+      .filter(tx => tx.type === SLIP_TX_TYPE.RECEIVE && tx.to === did)
+      .map(tx => tx.note));
+    return Object.values(this.slipNotes).filter(note => credited.has(note.hash));
+  }
+
+  getProvableBalance(did = null, assetId = DEFAULT_ASSET) {
+    // What this kernel can prove to others: the issuance its own policy
+    // would count, plus notes received, minus notes sent. An issuer can
+    // always prove its own asset.
+    const target = did || this.identity.did;
+    if (assetId !== DEFAULT_ASSET && assetId.split('/')[0] === target) return Infinity;
+    const sum = (notes) => notes
+      .filter(note => txAsset(note) === assetId)
+      .reduce((total, note) => total + note.amount, 0);
+    const own = this._sentSlipNotes(target);
+    const issued = assetId === DEFAULT_ASSET
+      ? provableIssuance(own.filter(isIssuanceNote), target, this.slipPolicy.mintAuthorities)
+      : 0;
+    return issued + sum(this._receivedSlipNotes(target))
+      - sum(own.filter(note => !isIssuanceNote(note)));
+  }
+
+  exportSlipNote(txIdOrHash) {
+    // Portable JSON: the note plus every note its history depends on
+    const tx = this.slipLedger.transactions.find(t => t.id === txIdOrHash);
+    const hash = tx ? tx.note : txIdOrHash;
+    if (!hash || !this.slipNotes[hash]) throw new Error(`No slip note for ${txIdOrHash}`);
+
+    return JSON.stringify({ format: SLIP_NOTE_FORMAT, note: hash, notes: this._slipNoteClosure([hash]) }, null, 2);
+  }
+
+  _slipNoteClosure(hashes) {
+    // The notes plus every note they cite or follow in a chain
+    const notes = {};
+    const pending = [...hashes];
+    while (pending.length > 0) {
+      const next = pending.pop();
+      if (notes[next]) continue;
+      const note = this.slipNotes[next];
+      if (!note) throw new Error(`Slip note ${next} is missing from this kernel`);
+      notes[next] = note;
+      if (note.prev) pending.push(note.prev);
+      pending.push(...note.inputs);
+    }
+    return notes;
+  }
+
+  async importSlipNote(json) {
+    return this._transaction('importSlipNote', async () => {
+      let bundle;
+      try {
+        bundle = JSON.parse(json);
+      } catch (e) {
+        throw new Error('Slip note is not valid JSON');
+      }
+      if (bundle?.format !== SLIP_NOTE_FORMAT || !bundle.notes || !bundle.notes[bundle.note]) {
+        throw new Error('Not a slip note');
+      }
+
+      const note = bundle.notes[bundle.note];
+      if (note.to !== this.identity.did) {
+        throw new Error(`Slip note is addressed to ${note.to}, not this identity`);
+      }
+      if (isIssuanceNote(note)) throw new Error('An issuance note is not a transfer');
+
+      // Replay protection: each note is credited once (a reset forgets the
+      // credit but keeps our notes citing it), and a sender may not sign
+      // two different notes with the same nonce
+      const spent = new Set(this._sentSlipNotes(note.to).flatMap(sent => sent.inputs));
+      if (spent.has(note.hash) || this._receivedSlipNotes(note.to).some(received => received.hash === note.hash)) {
+        throw new Error(`Slip note ${note.hash.slice(0, 16)}... was already imported`);
+      }
+      for (const incoming of Object.values(bundle.notes)) {
+        const known = Object.values(this.slipNotes)
+          .find(n => n.from === incoming.from && n.nonce === incoming.nonce);
+        if (known && known.hash !== incoming.hash) {
+          throw new Error(`${incoming.from} signed two notes with nonce ${incoming.nonce}`);
+        }
+      }
+
+      const problem = await verifySlipNotes(bundle.notes, this.slipPolicy.mintAuthorities);
+      if (problem) throw new Error(`Slip note rejected: ${problem}`);
+      if (!note.asset && note.amount > this._supplyRoom()) {
+        throw supplyError(SUPPLY_ERROR.MAX_SUPPLY,
+          `Receiving ${note.amount} would exceed max supply ${this.slipPolicy.maxSupply}`);
+      }
+      // Amounts are in the asset's smallest unit, so a note that disagrees
+      // on the decimals would be credited at the wrong scale
+      const known = this.assets[note.asset];
+      if (known && known.decimals !== note.decimals) {
+        throw new Error(`Slip note gives ${note.asset} ${note.decimals} decimals, not ${known.decimals}`);
+      }
+
+      for (const [hash, incoming] of Object.entries(bundle.notes)) {
+        if (this.slipNotes[hash]) continue;
+        this.slipNotes[hash] = incoming;
+        await this._put(STORES.SLIP_NOTES, hash, incoming);
+      }
+
+      // The verified notes vouch for an issued asset's decimals
+      if (note.asset && !this.assets[note.asset]) {
+        const [issuer, symbol] = note.asset.split('/');
+        const asset = {
+          id: note.asset,
+          symbol,
+          name: symbol,
+          decimals: note.decimals,
+          issuer,
+          createdAt: timestamp(),
+          address: `slip-asset://${note.asset}`
+        };
+        this.assets[note.asset] = asset;
+        await this._put(STORES.ASSETS, note.asset, asset);
+      }
+
+      const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.RECEIVE, {
+        from: note.from,
+        to: note.to,
+        amount: note.amount,
+        asset: txAsset(note),
+        memo: note.memo,
+        note: note.hash,
+        nonce: note.nonce
+      }));
+
+      await this._emitPulse(PULSE_TYPE.SLIP_RECEIVE, {
+        from: note.from.slice(0, 20) + '...',
+        amount: note.amount,
+        asset: txAsset(note),
+        nonce: note.nonce
+      });
+
+      return tx;
     });
+  }
 
-    return { 
-      address, 
-      hash, 
-      timestamp: ts,
-      pulseId: pulseResult.pulseId
+  async burnSlips(amount, reason = 'USER_BURN', assetId = DEFAULT_ASSET) {
+    return this._transaction('burnSlips', async () => {
+      if (amount <= 0) throw new Error('Amount must be positive');
+      const asset = this._requireAsset(assetId);
+
+      const balance = this.getSlipBalance(null, asset.id);
+      if (balance < amount) {
+        throw new Error(`Insufficient ${asset.symbol}: have ${balance}, need ${amount}`);
+      }
+
+      const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.BURN, {
+        from: this.identity.did,
+        amount,
+        asset: asset.id,
+        reason
+      }));
+
+      await this._emitPulse(PULSE_TYPE.SLIP_BURN, {
+        amount,
+        asset: asset.id,
+        reason,
+        newBalance: this.getSlipBalance(null, asset.id),
+        totalSupply: this.getTotalSupply(asset.id)
+      });
+
+      return tx;
+    });
+  }
+
+  getTotalSupply(assetId = DEFAULT_ASSET) {
+    // Issued minus burned, read off the system accounts. Only the issuer's
+    // ledger sees an issued asset's issuance, so other kernels get null.
+    const asset = this.getAsset(assetId);
+    if (asset?.issuer && asset.issuer !== this.identity.did) return null;
+    const { balances } = this.slipLedger;
+    const issued = -(balances[assetAccount(SLIP_ACCOUNT.ISSUANCE, assetId)] || 0)
+      - (balances[assetAccount(SLIP_ACCOUNT.BURNED, assetId)] || 0);
+    if (assetId !== DEFAULT_ASSET) return issued;
+    // Slips also arrive and leave as notes; the max supply caps what this
+    // ledger holds, received slips included
+    return issued - (balances[SLIP_ACCOUNT.INBOUND] || 0) - (balances[SLIP_ACCOUNT.OUTBOUND] || 0);
+  }
+
+  getSupplyStats() {
+    const { balances } = this.slipLedger;
+    const { maxSupply, periodCap } = this.slipPolicy;
+    const circulating = this.getTotalSupply();
+    return {
+      circulating,
+      // Everything ever issued, genesis credits included
+      minted: -(balances[SLIP_ACCOUNT.ISSUANCE] || 0),
+      genesis: this.slipLedger.transactions
+        .filter(tx => tx.type === SLIP_TX_TYPE.GENESIS)
+        .reduce((sum, tx) => sum + tx.amount, 0),
+      burned: balances[SLIP_ACCOUNT.BURNED] || 0,
+      received: -balances[SLIP_ACCOUNT.INBOUND] || 0,
+      sent: balances[SLIP_ACCOUNT.OUTBOUND] || 0,
+      maxSupply,
+      remaining: maxSupply === null ? null : maxSupply - circulating,
+      mintedThisPeriod: periodCap ? this._mintedSince(Date.now() - periodCap.periodMs) : null,
+      periodCap: periodCap ? periodCap.amount : null
     };
   }
 
   // ============================================
-  // ADDRESS RESOLUTION (Kernel Authority ONLY)
-  // Returns structured truth states
+  // SLIP SUPPLY POLICY (Monetary Rules)
   // ============================================
 
-  async resolveAddress(address) {
-    const parsed = parseAddress(address);
-    
-    if (!parsed) {
-      return {
-        state: RESOLUTION_STATE.INVALID,
-        type: 'unknown',
-        error: 'Malformed address format',
-        address
-      };
-    }
+  getSupplyPolicy() {
+    return structuredClone(this.slipPolicy);
+  }
+
+  async setSupplyPolicy(changes = {}, { relinquishAuthority = false } = {}) {
+    return this._transaction('setSupplyPolicy', async () => {
+      this._checkMintAuthority();
+
+      const policy = { ...this.slipPolicy, ...changes };
+      if (changes.schedule) {
+        // A new schedule first fires one interval from now, paying its setter
+        policy.schedule = {
+          to: this.identity.did,
+          nextAt: new Date(Date.now() + changes.schedule.intervalMs).toISOString(),
+          ...changes.schedule
+        };
+      }
+      const normalized = normalizeSupplyPolicy(policy);
+      // Leaving this identity off the list locks it out of minting and of
+      // every later policy change; only resetKernel undoes that
+      if (!relinquishAuthority && !this._isMintAuthority(normalized)) {
+        throw supplyError(SUPPLY_ERROR.SELF_LOCKOUT,
+          `${this.identity.did} would no longer be a mint authority; pass relinquishAuthority to confirm`);
+      }
+      this.slipPolicy = normalized;
+      await this._put(STORES.META, META_KEYS.SLIP_POLICY, this.slipPolicy);
+
+      await this._emitPulse(PULSE_TYPE.SLIP_POLICY, {
+        maxSupply: this.slipPolicy.maxSupply,
+        mintAuthorities: this.slipPolicy.mintAuthorities.length,
+        periodCap: this.slipPolicy.periodCap,
+        schedule: this.slipPolicy.schedule && {
+          amount: this.slipPolicy.schedule.amount,
+          intervalMs: this.slipPolicy.schedule.intervalMs
+        }
+      });
 
-    // Emit resolution attempt pulse
-    await this._emitPulse(PULSE_TYPE.ADDRESS_RESOLVE, {
-      address: address.slice(0, 40),
-      scheme: parsed.scheme
+      this._armIssuanceSchedule();
+      return this.getSupplyPolicy();
     });
+  }
 
-    // Resolution by scheme
-    switch (parsed.scheme) {
-      case URI_SCHEMES.XHE:
-      case URI_SCHEMES.IPFS:
-        return this._resolveContentAddress(address, parsed);
-      
-      case URI_SCHEMES.DID_XHE:
-        return this._resolveIdentityAddress(address, parsed);
-      
-      case URI_SCHEMES.PULSE:
-        return this._resolvePulseAddress(address, parsed);
-      
-      case URI_SCHEMES.SLIP:
-        return this._resolveSlipAddress(address, parsed);
-      
-      case URI_SCHEMES.FEED:
-        return this._resolveFeedAddress(address, parsed);
-      
-      case URI_SCHEMES.CHANNEL:
-        return this._resolveChannelAddress(address, parsed);
-      
-      default:
-        return {
-          state: RESOLUTION_STATE.UNKNOWN,
-          type: parsed.scheme,
-          error: 'Unknown URI scheme',
-          address
+  async runScheduledIssuance() {
+    // Pays every interval that has come due since the last run, in one
+    // MINT. Tabs race to run it; the loser finds nothing due.
+    try {
+      return await this._transaction('runScheduledIssuance', async () => {
+        const { schedule } = this.slipPolicy;
+        if (!schedule || !this._isMintAuthority() || Date.parse(schedule.nextAt) > Date.now()) return null;
+
+        const due = Math.floor((Date.now() - Date.parse(schedule.nextAt)) / schedule.intervalMs) + 1;
+        const amount = Math.min(due * schedule.amount, this._supplyRoom());
+
+        this.slipPolicy = {
+          ...this.slipPolicy,
+          schedule: {
+            ...schedule,
+            nextAt: new Date(Date.parse(schedule.nextAt) + due * schedule.intervalMs).toISOString()
+          }
         };
+        await this._put(STORES.META, META_KEYS.SLIP_POLICY, this.slipPolicy);
+        if (amount <= 0) return null;
+
+        // Scheduled issuance is the policy itself, so the period cap
+        // does not apply; the max supply does. The scheduled flag, which
+        // mintSlips never sets, is what exempts it.
+        const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.MINT, {
+          to: schedule.to,
+          amount,
+          reason: 'SCHEDULED',
+          scheduled: true
+        }));
+        await this._signIssuanceNote(tx);
+
+        await this._emitPulse(PULSE_TYPE.SLIP_MINT, {
+          amount,
+          reason: 'SCHEDULED',
+          intervals: due
+        });
+
+        return tx;
+      });
+    } finally {
+      this._armIssuanceSchedule();
     }
   }
 
-  _resolveContentAddress(address, parsed) {
-    // Check content store (authoritative)
-    if (this.contentStore[parsed.hash]) {
-      const entry = this.contentStore[parsed.hash];
-      return {
-        state: RESOLUTION_STATE.RESOLVED,
-        type: parsed.scheme,
-        content: entry.content,
-        metadata: {
-          timestamp: entry.timestamp,
-          author: entry.author,
-          scheme: entry.scheme
-        },
-        address
-      };
+  _armIssuanceSchedule() {
+    clearTimeout(this._issuanceTimer);
+    this._issuanceTimer = null;
+
+    const { schedule } = this.slipPolicy;
+    if (this._closed || !schedule || !this._isMintAuthority()) return;
+
+    const delay = Math.max(0, Date.parse(schedule.nextAt) - Date.now());
+    this._issuanceTimer = setTimeout(() => {
+      this.runScheduledIssuance().catch(e => console.error('[KERNEL] Scheduled issuance failed:', e));
+    }, Math.min(delay, MAX_TIMER_DELAY));
+  }
+
+  _isMintAuthority(policy = this.slipPolicy) {
+    const { mintAuthorities } = policy;
+    return mintAuthorities.length === 0 || mintAuthorities.includes(this.identity.did);
+  }
+
+  _checkMintAuthority() {
+    if (!this._isMintAuthority()) {
+      throw supplyError(SUPPLY_ERROR.NOT_AUTHORIZED,
+        `${this.identity.did} is not a mint authority under the supply policy`);
     }
+  }
 
-    // Check if known in index but content missing
-    if (this.addressIndex[address]) {
-      return {
-        state: RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE,
-        type: parsed.scheme,
-        error: 'Address known but content not available locally',
-        metadata: this.addressIndex[address],
-        address
-      };
+  _checkMintPolicy(amount) {
+    this._checkMintAuthority();
+
+    const { maxSupply, periodCap } = this.slipPolicy;
+    if (amount > this._supplyRoom()) {
+      throw supplyError(SUPPLY_ERROR.MAX_SUPPLY,
+        `Minting ${amount} would exceed the max supply of ${maxSupply} (${this._supplyRoom()} left)`);
     }
 
-    return {
-      state: RESOLUTION_STATE.UNKNOWN,
-      type: parsed.scheme,
-      error: 'Address not found in kernel state',
-      address
-    };
+    if (periodCap) {
+      const minted = this._mintedSince(Date.now() - periodCap.periodMs);
+      if (minted + amount > periodCap.amount) {
+        throw supplyError(SUPPLY_ERROR.PERIOD_CAP,
+          `Minting ${amount} would exceed the cap of ${periodCap.amount} per ${periodCap.periodMs} ms `
+          + `(${minted} already minted in this period)`);
+      }
+    }
   }
 
-  _resolveIdentityAddress(address, parsed) {
-    // Check if it's our identity
-    if (address === this.identity.did) {
-      return {
-        state: RESOLUTION_STATE.RESOLVED,
-        type: 'did:xhe',
-        content: JSON.stringify({
-          did: this.identity.did,
-          publicKey: this.identity.publicKey,
-          created: this.identity.created,
-          slipBalance: this.slipLedger.balances[this.identity.did] || 0
-        }, null, 2),
-        metadata: {
-          isOwn: true,
-          created: this.identity.created
-        },
-        address
-      };
-    }
+  _supplyRoom() {
+    const { maxSupply } = this.slipPolicy;
+    return maxSupply === null ? Infinity : maxSupply - this.getTotalSupply();
+  }
 
-    // Check identity history
-    const historical = this.identityHistory.find(h => h.did === address);
-    if (historical) {
-      return {
-        state: RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE,
-        type: 'did:xhe',
-        error: 'Historical identity (no longer active)',
-        metadata: {
-          archivedAt: historical.archivedAt,
-          reason: historical.reason
-        },
-        address
-      };
+  _mintedSince(since) {
+    // Manual mints in the rolling window (scheduled issuance is exempt)
+    return this.slipLedger.transactions
+      .filter(tx => tx.type === SLIP_TX_TYPE.MINT && txAsset(tx) === DEFAULT_ASSET
+        && !tx.scheduled && Date.parse(tx.timestamp) >= since)
+      .reduce((sum, tx) => sum + tx.amount, 0);
+  }
+
+  async _recordSlipTransaction(tx) {
+    // The only ledger write: appends to the log and applies the entries to
+    // the balances (a fold over the log) and their stored cache
+    if (!Number.isSafeInteger(tx.amount)) {
+      throw new Error(`Slip amounts are whole numbers of the asset's smallest unit, not ${tx.amount}`);
+    }
+    const entries = slipEntries(tx);
+    if (entries.reduce((sum, entry) => sum + entry.amount, 0) !== 0) {
+      throw new Error(`Slip transaction ${tx.id} does not balance`);
     }
 
-    // Check if we know this DID from social graph
-    const known = this.socialGraph.following.includes(address) || 
-                  this.socialGraph.followers.includes(address);
-    if (known) {
-      return {
-        state: RESOLUTION_STATE.KNOWN_BUT_UNAVAILABLE,
-        type: 'did:xhe',
-        error: 'Known identity but full data not available locally',
-        address
-      };
+    for (const { account, amount } of entries) {
+      const balance = (this.slipLedger.balances[account] || 0) + amount;
+      if (balance < 0 && !isSystemAccount(account)) {
+        throw new Error(`Insufficient slips: ${account} would be left with ${balance}`);
+      }
+      this.slipLedger.balances[account] = balance;
+      await this._put(STORES.SLIP_BALANCES, account, balance);
     }
 
-    return {
-      state: RESOLUTION_STATE.UNKNOWN,
-      type: 'did:xhe',
-      error: 'Identity not found in kernel state',
-      address
-    };
+    this.slipLedger.transactions.push(tx);
+    await this._put(STORES.SLIP_TRANSACTIONS, tx.id, tx);
+    return tx;
   }
 
-  _resolvePulseAddress(address, parsed) {
-    const pulseKey = parsed.sequence ? `${parsed.sequence}/${parsed.hash}` : parsed.hash;
-    
-    if (this.pulseStore[pulseKey]) {
-      const pulse = this.pulseStore[pulseKey];
-      return {
-        state: RESOLUTION_STATE.RESOLVED,
-        type: 'pulse',
-        content: JSON.stringify(pulse, null, 2),
-        metadata: {
-          type: pulse.type,
-          author: pulse.author,
-          timestamp: pulse.timestamp,
-          sequence: pulse.sequence
-        },
-        address
-      };
+  _hasGenesis(did) {
+    return this.slipLedger.transactions.some(tx => tx.type === SLIP_TX_TYPE.GENESIS && tx.to === did);
+  }
+
+  async _creditGenesis(identity) {
+    // Genesis needs no mint authority, so it is paid once per ledger:
+    // regenerated identities start empty. It never takes supply past the cap.
+    const amount = Math.min(GENESIS_SLIPS, this._supplyRoom());
+    const paid = this.slipLedger.transactions.some(tx => tx.type === SLIP_TX_TYPE.GENESIS);
+    if (paid || amount <= 0) return null;
+    const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.GENESIS, {
+      to: identity.did,
+      amount
+    }));
+    // A reset that keeps the identity credits genesis again locally, but
+    // its note chain already proves the first one
+    const proven = this._sentSlipNotes(identity.did)
+      .some(note => isIssuanceNote(note) && note.memo === SLIP_TX_TYPE.GENESIS);
+    if (!proven) await this._signIssuanceNote(tx, identity);
+    return tx;
+  }
+
+  async _migrateLedger(identities) {
+    // Ledgers from before double-entry: spell out each record's entries,
+    // log the genesis credits that were applied without a transaction
+    // (the balances already hold them), then open the system accounts
+    for (const tx of this.slipLedger.transactions) {
+      if (Array.isArray(tx.entries)) continue;
+      tx.entries = slipEntries(tx);
+      await this._put(STORES.SLIP_TRANSACTIONS, tx.id, tx);
     }
 
-    return {
-      state: RESOLUTION_STATE.UNKNOWN,
-      type: 'pulse',
-      error: 'Pulse not found in kernel state',
-      address
-    };
+    const credited = identities
+      .filter(id => this.slipLedger.balances[id.did] !== undefined && !this._hasGenesis(id.did));
+    for (const id of credited) {
+      const tx = slipTransaction(SLIP_TX_TYPE.GENESIS, {
+        to: id.did,
+        amount: GENESIS_SLIPS,
+        timestamp: id.created
+      });
+      this.slipLedger.transactions.push(tx);
+      await this._put(STORES.SLIP_TRANSACTIONS, tx.id, tx);
+    }
+    this.slipLedger.transactions = sortByTimestamp(this.slipLedger.transactions);
+
+    const derived = deriveBalances(this.slipLedger.transactions);
+    for (const account of Object.values(SLIP_ACCOUNT)) {
+      if (this.slipLedger.balances[account] === undefined && derived[account]) {
+        this.slipLedger.balances[account] = derived[account];
+        await this._put(STORES.SLIP_BALANCES, account, derived[account]);
+      }
+    }
   }
 
-  _resolveSlipAddress(address, parsed) {
-    const tx = this.slipLedger.transactions.find(t => t.id === parsed.hash);
-    if (tx) {
-      return {
-        state: RESOLUTION_STATE.RESOLVED,
-        type: 'slip',
-        content: JSON.stringify(tx, null, 2),
-        metadata: tx,
-        address
+  async auditLedger() {
+    // Recomputes every balance from the transaction log and compares it
+    // with the stored balance cache. Read-only, like fsck().
+    return this._exclusive(async () => {
+      const issues = [];
+      const { transactions } = this.slipLedger;
+      const balances = await this._storage.getAll(STORES.SLIP_BALANCES);
+
+      transactions.forEach(tx => {
+        const net = slipEntries(tx).reduce((sum, entry) => sum + entry.amount, 0);
+        if (net !== 0) {
+          issues.push(ledgerIssue(LEDGER_ISSUE.UNBALANCED_TRANSACTION, { txId: tx.id },
+            `${tx.type} ${tx.id} entries sum to ${net}`));
+        }
+      });
+
+      const derived = deriveBalances(transactions);
+      const accounts = new Set([...Object.keys(derived), ...Object.keys(balances)]);
+      accounts.forEach(account => {
+        const stored = balances[account] || 0;
+        const expected = derived[account] || 0;
+        if (stored !== expected) {
+          issues.push(ledgerIssue(LEDGER_ISSUE.BALANCE_MISMATCH, { account, stored, derived: expected },
+            `${account} holds ${stored}, log gives ${expected}`));
+        }
+        if (expected < 0 && !isSystemAccount(account)) {
+          issues.push(ledgerIssue(LEDGER_ISSUE.NEGATIVE_BALANCE, { account, derived: expected },
+            `${account} is overdrawn to ${expected}`));
+        }
+      });
+
+      const result = {
+        valid: issues.length === 0,
+        transactions: transactions.length,
+        accounts: accounts.size,
+        balances: derived,
+        issues
       };
-    }
+      this._emit('kernel:ledger:audited', result);
+      return result;
+    });
+  }
+
+  async createEscrow({ to, amount, condition, expiresAt, memo = '' } = {}) {
+    return this._transaction('createEscrow', async () => {
+      if (!(amount > 0)) throw new Error('Amount must be positive');
+      if (!DID_PATTERN.test(to)) throw new Error('Recipient must be a did:xhe identity');
+      if (to === this.identity.did) throw new Error('Cannot escrow to self');
+
+      const expiry = Date.parse(typeof expiresAt === 'number' ? new Date(expiresAt).toISOString() : expiresAt);
+      if (!Number.isFinite(expiry) || expiry <= Date.now()) throw new Error('expiresAt must be a future time');
+      const normalized = normalizeEscrowCondition(condition);
+
+      // Release pays out as a slip note, so the slips must be provable too
+      const balance = this.getSlipBalance();
+      const provable = this.getProvableBalance() - this._escrowedAmount(this.identity.did);
+      if (balance < amount) throw new Error(`Insufficient slips: have ${balance}, need ${amount}`);
+      if (provable < amount) {
+        throw new Error(`Only ${provable} slips are provable to other kernels`);
+      }
+
+      const id = randomHex(16);
+      const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.ESCROW_LOCK, {
+        from: this.identity.did,
+        to,
+        amount,
+        memo,
+        escrowId: id
+      }));
+
+      const escrow = {
+        id,
+        from: this.identity.did,
+        to,
+        amount,
+        memo,
+        condition: normalized,
+        expiresAt: new Date(expiry).toISOString(),
+        createdAt: tx.timestamp,
+        afterSequence: this._pulseSequence,
+        status: ESCROW_STATUS.LOCKED,
+        transactions: [tx.id]
+      };
+      this.escrows[id] = escrow;
+      await this._put(STORES.ESCROWS, id, escrow);
+
+      await this._emitPulse(PULSE_TYPE.SLIP_ESCROW, {
+        escrowId: id,
+        to: to.slice(0, 20) + '...',
+        amount,
+        condition: normalized.type,
+        expiresAt: escrow.expiresAt
+      });
+
+      this._armEscrowExpiry();
+      return escrow;
+    });
+  }
+
+  async releaseEscrow(escrowId, preimage = null) {
+    return this._transaction('releaseEscrow', async () => {
+      const escrow = this._lockedEscrow(escrowId);
+      if (Date.parse(escrow.expiresAt) <= Date.now()) throw new Error(`Escrow ${escrowId} has expired`);
+      // The note must come from the identity whose slips were locked; after
+      // regenerateIdentity the escrow can only lapse back to it
+      if (escrow.from !== this.identity.did) {
+        throw new Error(`Escrow ${escrowId} was locked by ${escrow.from} and is refunded to it on expiry`);
+      }
+
+      const { condition } = escrow;
+      if (condition.type === ESCROW_CONDITION.HASHLOCK) {
+        if (typeof preimage !== 'string' || await sha256(preimage) !== condition.hash) {
+          throw new Error('Preimage does not match the escrow hashlock');
+        }
+      } else if (!Object.values(this.pulseStore).some(pulse => escrowPulseMatches(escrow, pulse))) {
+        throw new Error(`Escrow ${escrowId} is waiting for a ${condition.pulseType} pulse`);
+      }
 
-    return {
-      state: RESOLUTION_STATE.UNKNOWN,
-      type: 'slip',
-      error: 'Slip transaction not found',
-      address
-    };
+      // Settle first so the note is not blocked by its own reservation
+      const settled = { ...escrow, status: ESCROW_STATUS.RELEASED, settledAt: timestamp() };
+      this.escrows[escrowId] = settled;
+      const note = await this._signSlipNote(escrow.to, escrow.amount, escrow.memo);
+
+      const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.ESCROW_RELEASE, {
+        from: escrow.from,
+        to: escrow.to,
+        amount: escrow.amount,
+        memo: escrow.memo,
+        escrowId,
+        note: note.hash,
+        nonce: note.nonce
+      }));
+      settled.transactions = [...escrow.transactions, tx.id];
+      await this._put(STORES.ESCROWS, escrowId, settled);
+
+      await this._emitPulse(PULSE_TYPE.SLIP_ESCROW_RELEASE, {
+        escrowId,
+        amount: escrow.amount,
+        nonce: note.nonce
+      });
+      this._emit('kernel:escrow:settled', { escrowId, status: settled.status, amount: escrow.amount });
+
+      this._armEscrowExpiry();
+      return tx;
+    });
   }
 
-  _resolveFeedAddress(address, parsed) {
-    if (this.feeds[parsed.hash]) {
-      return {
-        state: RESOLUTION_STATE.RESOLVED,
-        type: 'feed',
-        content: JSON.stringify(this.feeds[parsed.hash], null, 2),
-        metadata: this.feeds[parsed.hash],
-        address
-      };
+  async refundExpiredEscrows() {
+    // Returns the slips of every lapsed escrow to its sender. Tabs race
+    // to run it; the loser finds nothing expired.
+    try {
+      return await this._transaction('refundExpiredEscrows', async () => {
+        const refunds = [];
+        const expired = Object.values(this.escrows).filter(escrow =>
+          escrow.status === ESCROW_STATUS.LOCKED && Date.parse(escrow.expiresAt) <= Date.now());
+
+        for (const escrow of expired) {
+          const tx = await this._recordSlipTransaction(slipTransaction(SLIP_TX_TYPE.ESCROW_REFUND, {
+            to: escrow.from,
+            amount: escrow.amount,
+            memo: escrow.memo,
+            escrowId: escrow.id
+          }));
+          const settled = {
+            ...escrow,
+            status: ESCROW_STATUS.REFUNDED,
+            settledAt: timestamp(),
+            transactions: [...escrow.transactions, tx.id]
+          };
+          this.escrows[escrow.id] = settled;
+          await this._put(STORES.ESCROWS, escrow.id, settled);
+
+          await this._emitPulse(PULSE_TYPE.SLIP_ESCROW_REFUND, {
+            escrowId: escrow.id,
+            amount: escrow.amount
+          });
+          this._emit('kernel:escrow:settled', { escrowId: escrow.id, status: settled.status, amount: escrow.amount });
+          refunds.push(tx);
+        }
+
+        return refunds;
+      });
+    } finally {
+      this._armEscrowExpiry();
     }
+  }
 
-    return {
-      state: RESOLUTION_STATE.UNKNOWN,
-      type: 'feed',
-      error: 'Feed not found',
-      address
-    };
+  getEscrows(status = null) {
+    return Object.values(this.escrows)
+      .filter(escrow => !status || escrow.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
   }
 
-  _resolveChannelAddress(address, parsed) {
-    if (this.channels[parsed.hash]) {
-      return {
-        state: RESOLUTION_STATE.RESOLVED,
-        type: 'channel',
-        content: JSON.stringify(this.channels[parsed.hash], null, 2),
-        metadata: this.channels[parsed.hash],
-        address
-      };
-    }
+  _lockedEscrow(escrowId) {
+    const escrow = this.escrows[escrowId];
+    if (!escrow) throw new Error(`Unknown escrow: ${escrowId}`);
+    if (escrow.status !== ESCROW_STATUS.LOCKED) throw new Error(`Escrow ${escrowId} is already ${escrow.status.toLowerCase()}`);
+    return escrow;
+  }
 
-    return {
-      state: RESOLUTION_STATE.UNKNOWN,
-      type: 'channel',
-      error: 'Channel not found',
-      address
-    };
+  _escrowedAmount(did) {
+    return Object.values(this.escrows)
+      .filter(escrow => escrow.status === ESCROW_STATUS.LOCKED && escrow.from === did)
+      .reduce((total, escrow) => total + escrow.amount, 0);
   }
 
-  // ============================================
-  // ADDRESS INDEX (Non-Authoritative View)
-  // ============================================
+  _releaseEscrowsOn(pulse) {
+    Object.values(this.escrows)
+      .filter(escrow => escrow.status === ESCROW_STATUS.LOCKED
+        && escrow.from === this.identity.did
+        && escrow.condition.type === ESCROW_CONDITION.PULSE
+        && escrowPulseMatches(escrow, pulse))
+      .forEach(escrow => {
+        this.releaseEscrow(escrow.id).catch(e => {
+          // Another tab may have settled it first
+          if (this.escrows[escrow.id]?.status === ESCROW_STATUS.LOCKED) {
+            console.error('[KERNEL] Escrow release failed:', e);
+          }
+        });
+      });
+  }
 
-  getAddressIndex(filter = 'all') {
-    const entries = Object.entries(this.addressIndex).map(([address, data]) => ({
-      address,
-      ...data
-    }));
+  _armEscrowExpiry() {
+    clearTimeout(this._escrowTimer);
+    this._escrowTimer = null;
 
-    if (filter === 'all') {
-      return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    }
+    const expiries = Object.values(this.escrows)
+      .filter(escrow => escrow.status === ESCROW_STATUS.LOCKED)
+      .map(escrow => Date.parse(escrow.expiresAt));
+    if (this._closed || expiries.length === 0) return;
 
-    return entries
-      .filter(e => e.type === filter)
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const delay = Math.max(0, Math.min(...expiries) - Date.now());
+    this._escrowTimer = setTimeout(() => {
+      this.refundExpiredEscrows().catch(e => console.error('[KERNEL] Escrow refund failed:', e));
+    }, Math.min(delay, MAX_TIMER_DELAY));
+  }
+
+  async createSubscription(toDid, amount, interval, options = {}) {
+    return this._transaction('createSubscription', async () => {
+      if (!(amount > 0)) throw new Error('Amount must be positive');
+      if (!(interval >= SUBSCRIPTION_MIN_INTERVAL)) {
+        throw new Error(`Interval must be at least ${SUBSCRIPTION_MIN_INTERVAL} milliseconds`);
+      }
+      if (!DID_PATTERN.test(toDid)) throw new Error('Recipient must be a did:xhe identity');
+      if (toDid === this.identity.did) throw new Error('Cannot subscribe to self');
+
+      // The first payment falls due one interval from now unless startAt says otherwise
+      const start = options.startAt !== undefined ? new Date(options.startAt) : new Date(Date.now() + interval);
+      if (Number.isNaN(start.getTime())) throw new Error('startAt must be a timestamp');
+
+      const id = randomHex(16);
+      const subscription = {
+        id,
+        from: this.identity.did,
+        to: toDid,
+        amount,
+        intervalMs: interval,
+        memo: options.memo || '',
+        status: SUBSCRIPTION_STATUS.ACTIVE,
+        createdAt: timestamp(),
+        nextAt: start.toISOString(),
+        payments: []
+      };
+      this.subscriptions[id] = subscription;
+      await this._put(STORES.SUBSCRIPTIONS, id, subscription);
+
+      await this._emitPulse(PULSE_TYPE.SLIP_SUBSCRIPTION, {
+        subscriptionId: id,
+        status: subscription.status,
+        to: toDid.slice(0, 20) + '...',
+        amount,
+        intervalMs: interval
+      });
+
+      this._armSubscriptions();
+      return subscription;
+    });
   }
 
-  clearAddressIndex() {
-    // Only clears index, NOT kernel content store
-    this.addressIndex = {};
-    saveState(STORAGE_KEYS.ADDRESS_INDEX, this.addressIndex);
-    this._emit('kernel:index:cleared');
+  async pauseSubscription(subscriptionId) {
+    return this._setSubscriptionStatus(subscriptionId, SUBSCRIPTION_STATUS.PAUSED);
   }
 
-  // ============================================
-  // SLIP SYSTEM (Economic Layer)
-  // ============================================
+  async resumeSubscription(subscriptionId) {
+    return this._setSubscriptionStatus(subscriptionId, SUBSCRIPTION_STATUS.ACTIVE);
+  }
 
-  getSlipBalance(did = null) {
-    const target = did || this.identity.did;
-    return this.slipLedger.balances[target] || 0;
+  async cancelSubscription(subscriptionId) {
+    return this._setSubscriptionStatus(subscriptionId, SUBSCRIPTION_STATUS.CANCELLED);
   }
 
-  async mintSlips(amount, reason = 'GENESIS') {
-    if (amount <= 0) throw new Error('Amount must be positive');
-    
-    const txId = randomHex(16);
-    const tx = {
-      id: txId,
-      type: 'MINT',
-      to: this.identity.did,
-      amount,
-      reason,
-      timestamp: timestamp(),
-      address: `slip://${txId}`
-    };
+  async _setSubscriptionStatus(subscriptionId, status) {
+    return this._transaction('updateSubscription', async () => {
+      const subscription = this.subscriptions[subscriptionId];
+      if (!subscription) throw new Error(`Unknown subscription: ${subscriptionId}`);
+      if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+        throw new Error(`Subscription ${subscriptionId} is cancelled`);
+      }
+      if (subscription.status === status) return subscription;
 
-    this.slipLedger.balances[this.identity.did] = 
-      (this.slipLedger.balances[this.identity.did] || 0) + amount;
-    this.slipLedger.transactions.push(tx);
-    saveState(STORAGE_KEYS.SLIP_LEDGER, this.slipLedger);
+      // Periods that pass while paused are skipped, not paid on resume
+      let nextAt = Date.parse(subscription.nextAt);
+      if (status === SUBSCRIPTION_STATUS.ACTIVE && nextAt <= Date.now()) {
+        nextAt += (Math.floor((Date.now() - nextAt) / subscription.intervalMs) + 1) * subscription.intervalMs;
+      }
 
-    await this._emitPulse(PULSE_TYPE.SLIP_MINT, {
-      amount,
-      reason,
-      newBalance: this.slipLedger.balances[this.identity.did]
-    });
+      const updated = { ...subscription, status, nextAt: new Date(nextAt).toISOString() };
+      this.subscriptions[subscriptionId] = updated;
+      await this._put(STORES.SUBSCRIPTIONS, subscriptionId, updated);
 
-    return tx;
+      await this._emitPulse(PULSE_TYPE.SLIP_SUBSCRIPTION, { subscriptionId, status });
+
+      this._armSubscriptions();
+      return updated;
+    });
   }
 
-  async transferSlips(toDid, amount, memo = '') {
-    if (amount <= 0) throw new Error('Amount must be positive');
-    
-    const fromBalance = this.getSlipBalance();
-    if (fromBalance < amount) {
-      throw new Error(`Insufficient slips: have ${fromBalance}, need ${amount}`);
+  async runDueSubscriptions() {
+    // Makes one payment per interval that has come due, oldest first, up
+    // to SUBSCRIPTION_CATCH_UP_LIMIT per subscription. Periods further
+    // behind, and every overdue period once a payment fails, are recorded
+    // on the subscription as one failure with one pulse, and the
+    // subscription moves on past them.
+    try {
+      return await this._transaction('runDueSubscriptions', async () => {
+        const results = [];
+        const due = () => Object.values(this.subscriptions)
+          .filter(sub => sub.status === SUBSCRIPTION_STATUS.ACTIVE
+            && sub.from === this.identity.did
+            && Date.parse(sub.nextAt) <= Date.now())
+          .sort((a, b) => a.nextAt.localeCompare(b.nextAt));
+
+        for (let next = due()[0]; next; next = due()[0]) {
+          const overdue = Math.floor((Date.now() - Date.parse(next.nextAt)) / next.intervalMs) + 1;
+          const missed = overdue - SUBSCRIPTION_CATCH_UP_LIMIT;
+          let payment;
+          if (missed > 0) {
+            payment = { dueAt: next.nextAt, periods: missed, status: 'FAILED', error: 'Missed while no tab was open' };
+          } else {
+            try {
+              const tx = await this._transferSlips(next.to, next.amount, next.memo, DEFAULT_ASSET, {
+                subscriptionId: next.id
+              });
+              payment = { dueAt: next.nextAt, periods: 1, status: 'PAID', txId: tx.id };
+            } catch (e) {
+              payment = { dueAt: next.nextAt, periods: overdue, status: 'FAILED', error: e.message };
+            }
+          }
+          payment.amount = payment.periods * next.amount;
+
+          if (payment.status === 'FAILED') {
+            await this._emitPulse(PULSE_TYPE.SLIP_PAYMENT_FAILED, {
+              subscriptionId: next.id,
+              amount: payment.amount,
+              periods: payment.periods,
+              dueAt: next.nextAt,
+              error: payment.error
+            });
+          }
+
+          const updated = {
+            ...next,
+            nextAt: new Date(Date.parse(next.nextAt) + payment.periods * next.intervalMs).toISOString(),
+            payments: [...next.payments, payment].slice(-SUBSCRIPTION_HISTORY_LIMIT)
+          };
+          this.subscriptions[next.id] = updated;
+          await this._put(STORES.SUBSCRIPTIONS, next.id, updated);
+          results.push({ subscriptionId: next.id, ...payment });
+        }
+
+        if (results.length > 0) this._emit('kernel:subscriptions:run', { payments: results });
+        return results;
+      });
+    } finally {
+      this._armSubscriptions();
     }
+  }
 
-    const txId = randomHex(16);
-    const tx = {
-      id: txId,
-      type: 'TRANSFER',
-      from: this.identity.did,
-      to: toDid,
-      amount,
-      memo,
-      timestamp: timestamp(),
-      address: `slip://${txId}`
-    };
+  getSubscriptions(includeCancelled = false) {
+    return Object.values(this.subscriptions)
+      .filter(sub => includeCancelled || sub.status !== SUBSCRIPTION_STATUS.CANCELLED)
+      .sort((a, b) => a.nextAt.localeCompare(b.nextAt));
+  }
 
-    this.slipLedger.balances[this.identity.did] -= amount;
-    this.slipLedger.balances[toDid] = (this.slipLedger.balances[toDid] || 0) + amount;
-    this.slipLedger.transactions.push(tx);
-    saveState(STORAGE_KEYS.SLIP_LEDGER, this.slipLedger);
+  _armSubscriptions() {
+    clearTimeout(this._subscriptionTimer);
+    this._subscriptionTimer = null;
 
-    await this._emitPulse(PULSE_TYPE.SLIP_TRANSFER, {
-      to: toDid.slice(0, 20) + '...',
-      amount,
-      memo
-    });
+    const dues = Object.values(this.subscriptions)
+      .filter(sub => sub.status === SUBSCRIPTION_STATUS.ACTIVE && sub.from === this.identity?.did)
+      .map(sub => Date.parse(sub.nextAt));
+    if (this._closed || dues.length === 0) return;
 
-    return tx;
+    const delay = Math.max(0, Math.min(...dues) - Date.now());
+    this._subscriptionTimer = setTimeout(() => {
+      this.runDueSubscriptions().catch(e => console.error('[KERNEL] Subscription payments failed:', e));
+    }, Math.min(delay, MAX_TIMER_DELAY));
   }
 
   getSlipHistory(limit = 50) {
@@ -805,153 +4908,433 @@ class XHEKernel {
   // ============================================
 
   async createPost(content, options = {}) {
-    if (!content || typeof content !== 'string') {
-      throw new Error('Post content required');
-    }
-
-    const hash = await sha256(content);
-    const postId = randomHex(16);
-    const ts = timestamp();
+    return this._transaction('createPost', async () => {
+      // A plain repost has no content of its own, only the post it points at
+      const plainRepost = options.repostOf && !content;
+      if (!plainRepost && (!content || typeof content !== 'string')) {
+        throw new Error('Post content required');
+      }
 
-    const post = {
-      id: postId,
-      type: 'POST',
-      content,
-      hash,
-      author: this.identity.did,
-      timestamp: ts,
-      replyTo: options.replyTo || null,
-      repostOf: options.repostOf || null,
-      channel: options.channel || null,
-      address: `xhe://${hash}`
-    };
+      // Replies stay in their parent's channel unless told otherwise
+      const parent = options.replyTo ? this.getPost(options.replyTo) : null;
+      if (options.replyTo && !parent) throw new Error(`Unknown post: ${options.replyTo}`);
+      if (parent?.deletedAt) throw new Error('Cannot reply to a deleted post');
+      if (options.repostOf) {
+        const original = this.getPost(options.repostOf);
+        if (!original) throw new Error(`Unknown post: ${options.repostOf}`);
+        if (original.deletedAt) throw new Error('Cannot repost a deleted post');
+      }
+      const channel = options.channel || parent?.channel || null;
+
+      const hash = plainRepost ? null : await sha256(content);
+      const postId = randomHex(16);
+      const ts = timestamp();
+
+      const post = {
+        id: postId,
+        type: 'POST',
+        content: plainRepost ? null : content,
+        hash,
+        author: this.identity.did,
+        timestamp: ts,
+        replyTo: options.replyTo || null,
+        repostOf: options.repostOf || null,
+        channel,
+        address: plainRepost ? null : `xhe://${hash}`
+      };
 
-    // Store content
-    this.contentStore[hash] = {
-      content,
-      timestamp: ts,
-      author: this.identity.did,
-      scheme: 'xhe',
-      postMeta: { id: postId, type: 'POST' }
-    };
-    saveState(STORAGE_KEYS.CONTENT_STORE, this.contentStore);
+      // Store content; identical content keeps its first entry
+      if (hash && !this.contentStore[hash]) {
+        this.contentStore[hash] = {
+          content,
+          timestamp: ts,
+          author: this.identity.did,
+          scheme: 'xhe',
+          postMeta: { id: postId, type: 'POST' }
+        };
+        await this._put(STORES.CONTENT, hash, this.contentStore[hash]);
+      }
 
-    // Add to personal feed
-    const feedId = `personal_${this.identity.did.slice(8, 16)}`;
-    if (!this.feeds[feedId]) {
-      this.feeds[feedId] = {
-        id: feedId,
-        owner: this.identity.did,
-        posts: [],
-        created: ts
-      };
-    }
-    this.feeds[feedId].posts.unshift(post);
-    saveState(STORAGE_KEYS.FEEDS, this.feeds);
+      // The post is its own record; feeds and channels list post ids
+      this.posts[postId] = post;
+      await this._put(STORES.POSTS, postId, post);
+
+      // Add to personal feed
+      const feedId = `personal_${this.identity.did.slice(8, 16)}`;
+      if (!this.feeds[feedId]) {
+        this.feeds[feedId] = {
+          id: feedId,
+          owner: this.identity.did,
+          postIds: [],
+          created: ts
+        };
+      }
+      this.feeds[feedId].postIds.unshift(postId);
+      await this._put(STORES.FEEDS, feedId, this.feeds[feedId]);
 
-    // If channel specified, add there too
-    if (options.channel && this.channels[options.channel]) {
-      this.channels[options.channel].posts.unshift(post);
-      saveState(STORAGE_KEYS.CHANNELS, this.channels);
-    }
+      // If channel specified, add there too
+      if (channel && this.channels[channel]) {
+        this.channels[channel].postIds.unshift(postId);
+        await this._put(STORES.CHANNELS, channel, this.channels[channel]);
+      }
 
-    // Emit pulse
-    const pulseType = options.replyTo ? PULSE_TYPE.POST_REPLY : 
-                      options.repostOf ? PULSE_TYPE.POST_REPOST : 
-                      PULSE_TYPE.POST_CREATE;
+      // Emit pulse
+      const pulseType = options.replyTo ? PULSE_TYPE.POST_REPLY : 
+                        options.repostOf ? PULSE_TYPE.POST_REPOST : 
+                        PULSE_TYPE.POST_CREATE;
     
-    await this._emitPulse(pulseType, {
-      postId,
-      hash: hash.slice(0, 16),
-      preview: content.slice(0, 50)
-    });
+      await this._emitPulse(pulseType, {
+        postId,
+        ...(hash && { hash: hash.slice(0, 16), preview: content.slice(0, 50) }),
+        ...(options.replyTo && { replyTo: options.replyTo }),
+        ...(options.repostOf && { repostOf: options.repostOf })
+      });
 
-    return post;
+      return post;
+    });
   }
 
   async createChannel(name, description = '') {
-    const channelId = randomHex(12);
-    const ts = timestamp();
+    return this._transaction('createChannel', async () => {
+      const channelId = randomHex(12);
+      const ts = timestamp();
+
+      const channel = {
+        id: channelId,
+        name,
+        description,
+        owner: this.identity.did,
+        created: ts,
+        postIds: [],
+        members: [this.identity.did],
+        address: `channel://${channelId}`
+      };
 
-    const channel = {
-      id: channelId,
-      name,
-      description,
-      owner: this.identity.did,
-      created: ts,
-      posts: [],
-      members: [this.identity.did],
-      address: `channel://${channelId}`
-    };
+      this.channels[channelId] = channel;
+      await this._put(STORES.CHANNELS, channelId, channel);
 
-    this.channels[channelId] = channel;
-    saveState(STORAGE_KEYS.CHANNELS, this.channels);
+      await this._emitPulse(PULSE_TYPE.CHANNEL_CREATE, {
+        channelId,
+        name
+      });
 
-    await this._emitPulse(PULSE_TYPE.CHANNEL_CREATE, {
-      channelId,
-      name
+      return channel;
     });
-
-    return channel;
   }
 
   getChannels() {
     return Object.values(this.channels);
   }
 
+  getChannelPosts(channelId, limit = Infinity) {
+    // A channel's visible posts, newest first
+    return this._feedView(post => post.channel === channelId, limit);
+  }
+
   getFeed(feedId = null) {
     if (feedId) {
-      return this.feeds[feedId] || null;
+      return this.feeds[feedId] ? this._withPosts(this.feeds[feedId]) : null;
     }
     // Return personal feed
     const personalFeedId = `personal_${this.identity.did.slice(8, 16)}`;
-    return this.feeds[personalFeedId] || { posts: [] };
+    return this.feeds[personalFeedId] ? this._withPosts(this.feeds[personalFeedId]) : { posts: [] };
+  }
+
+  _withPosts(record) {
+    // A feed or channel with its post records in place of their ids
+    return { ...record, posts: (record.postIds || []).map(id => this.posts[id]).filter(Boolean) };
   }
 
   getGlobalFeed(limit = 50) {
-    // Aggregate all posts from all feeds
-    const allPosts = [];
-    Object.values(this.feeds).forEach(feed => {
-      allPosts.push(...feed.posts);
-    });
-    Object.values(this.channels).forEach(channel => {
-      allPosts.push(...channel.posts);
-    });
+    // Aggregate all posts from all feeds, newest first, with their counts
+    return this._feedView(() => true, limit);
+  }
+
+  getFollowingFeed(limit = 50) {
+    // Only posts written by followed identities
+    const following = new Set(this.socialGraph.following);
+    return this._feedView(post => following.has(post.author), limit);
+  }
 
-    // Dedupe by hash and sort
-    const seen = new Set();
+  _feedView(include, limit) {
+    // Blocked identities are hidden everywhere, reposts of them included,
+    // and so are posts behind a tombstone
+    const allPosts = this._allPosts();
+    const byId = new Map(allPosts.map(post => [post.id, post]));
+    const blocked = new Set(this.socialGraph.blocked);
+    const counts = this._postCounts(allPosts);
     return allPosts
-      .filter(post => {
-        if (seen.has(post.hash)) return false;
-        seen.add(post.hash);
-        return true;
-      })
+      .filter(post => !post.deletedAt)
+      .filter(post => !blocked.has(post.author) && !blocked.has(byId.get(post.repostOf)?.author))
+      .filter(include)
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+      .slice(0, limit)
+      .map(post => this._withCounts(post, counts));
   }
 
-  async follow(did) {
-    if (did === this.identity.did) throw new Error('Cannot follow self');
-    if (this.socialGraph.following.includes(did)) return;
-    if (this.socialGraph.blocked.includes(did)) {
-      throw new Error('Cannot follow blocked identity');
+  async repost(postId, comment = '') {
+    const original = this.getPost(postId);
+    if (!original) throw new Error(`Unknown post: ${postId}`);
+    // Only the comment is stored; the original's content stays the
+    // original's, so editing or deleting it shows through every repost
+    return this.createPost(comment || null, { repostOf: postId });
+  }
+
+  getPost(postId) {
+    const allPosts = this._allPosts();
+    const post = allPosts.find(p => p.id === postId);
+    return post ? this._withCounts(post, this._postCounts(allPosts)) : null;
+  }
+
+  getThread(postId) {
+    // The conversation a post belongs to, from its root down:
+    // { post, replies: [{ post, replies }, ...] }, oldest reply first.
+    // Deleted posts stay in place (with deletedAt set) so replies keep their
+    // parent. Null for an unknown post or one by a blocked author.
+    const allPosts = this._allPosts();
+    const byId = new Map(allPosts.map(post => [post.id, post]));
+    const blocked = new Set(this.socialGraph.blocked);
+    let root = byId.get(postId);
+    if (!root || blocked.has(root.author)) return null;
+    // replyTo comes from imported records too, so a cycle must not loop;
+    // a blocked author's post is never the root, the thread starts below it
+    const climbed = new Set([root.id]);
+    while (root.replyTo && byId.has(root.replyTo) && !climbed.has(root.replyTo)
+      && !blocked.has(byId.get(root.replyTo).author)) {
+      root = byId.get(root.replyTo);
+      climbed.add(root.id);
     }
 
-    this.socialGraph.following.push(did);
-    saveState(STORAGE_KEYS.SOCIAL_GRAPH, this.socialGraph);
+    const children = new Map();
+    allPosts.filter(post => post.replyTo && !blocked.has(post.author)).forEach(post => {
+      if (!children.has(post.replyTo)) children.set(post.replyTo, []);
+      children.get(post.replyTo).push(post);
+    });
+
+    const counts = this._postCounts(allPosts);
+    const built = new Set();
+    const build = (post) => {
+      built.add(post.id);
+      return {
+        post: this._withCounts(post, counts),
+        replies: (children.get(post.id) || [])
+          .filter(reply => !built.has(reply.id))
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+          .map(build)
+      };
+    };
+    return build(root);
+  }
+
+  _allPosts() {
+    return Object.values(this.posts);
+  }
+
+  _postCounts(posts) {
+    const counts = {};
+    const bump = (postId, key) => {
+      if (!postId) return;
+      counts[postId] = counts[postId] || { replyCount: 0, repostCount: 0 };
+      counts[postId][key]++;
+    };
+    posts.filter(post => !post.deletedAt).forEach(post => {
+      bump(post.replyTo, 'replyCount');
+      bump(post.repostOf, 'repostCount');
+    });
+    return counts;
+  }
+
+  _withCounts(post, counts) {
+    return { ...post, replyCount: counts[post.id]?.replyCount || 0, repostCount: counts[post.id]?.repostCount || 0 };
+  }
+
+  // ============================================
+  // POST EDITS & TOMBSTONES
+  // Content stays addressed by hash: an edit stores a new version
+  // linked to the previous one, a delete emits a signed tombstone
+  // ============================================
+
+  async editPost(postId, content) {
+    return this._transaction('editPost', async () => {
+      if (!content || typeof content !== 'string') {
+        throw new Error('Post content required');
+      }
+      const post = this._ownPost(postId);
+      const hash = await sha256(content);
+
+      // Saving unchanged content is a no-op
+      if (hash === post.hash) return this.getPost(postId);
+
+      const ts = timestamp();
+      if (!this.contentStore[hash]) {
+        this.contentStore[hash] = {
+          content,
+          timestamp: ts,
+          author: this.identity.did,
+          scheme: 'xhe',
+          postMeta: { id: postId, type: 'POST', previous: post.hash }
+        };
+        await this._put(STORES.CONTENT, hash, this.contentStore[hash]);
+      }
+
+      await this._replacePost(postId, current => ({
+        ...current,
+        content,
+        hash,
+        address: `xhe://${hash}`,
+        editedAt: ts,
+        history: [
+          ...(current.history || []),
+          // A plain repost gains its comment with no earlier version
+          ...(current.hash
+            ? [{ hash: current.hash, address: current.address, timestamp: current.editedAt || current.timestamp }]
+            : [])
+        ]
+      }));
+
+      await this._emitPulse(PULSE_TYPE.POST_EDIT, {
+        postId,
+        hash: hash.slice(0, 16),
+        previous: post.hash?.slice(0, 16) ?? null,
+        preview: content.slice(0, 50)
+      });
+
+      return this.getPost(postId);
+    });
+  }
+
+  async deletePost(postId, options = {}) {
+    // options.purge also drops the content of every version from the
+    // content store; pulse previews are part of the signed chain and stay
+    return this._transaction('deletePost', async () => {
+      const post = this._ownPost(postId);
+      const purge = options.purge === true;
+      const ts = timestamp();
+
+      const { address: tombstone } = await this._emitPulse(PULSE_TYPE.POST_DELETE, {
+        postId,
+        hash: post.hash?.slice(0, 16) ?? null,
+        purge
+      });
+
+      await this._replacePost(postId, current => ({
+        ...current,
+        deletedAt: ts,
+        tombstone,
+        ...(purge && { content: null, purgedAt: ts })
+      }));
+
+      let purged = 0;
+      if (purge) {
+        for (const hash of new Set(postHashes(post))) {
+          if (!this.contentStore[hash] || this._contentInUse(hash, postId)) continue;
+          delete this.contentStore[hash];
+          await this._delete(STORES.CONTENT, hash);
+          purged++;
+        }
+      }
+
+      return { postId, tombstone, deletedAt: ts, purged };
+    });
+  }
+
+  getPostHistory(postId) {
+    // Every version of a post, oldest first; purged versions have null content
+    const post = this.posts[postId];
+    if (!post) return [];
+    return [
+      ...(post.history || []),
+      { hash: post.hash, address: post.address, timestamp: post.editedAt || post.timestamp }
+    ].map((version, index) => ({
+      ...version,
+      version: index + 1,
+      content: this.contentStore[version.hash]?.content ?? null
+    }));
+  }
+
+  _ownPost(postId) {
+    const post = this.posts[postId];
+    if (!post) throw new Error(`Unknown post: ${postId}`);
+    if (post.author !== this.identity.did) throw new Error('Only the author can change a post');
+    if (post.deletedAt) throw new Error('Post has been deleted');
+    return post;
+  }
+
+  async _replacePost(postId, update) {
+    this.posts[postId] = update(this.posts[postId]);
+    await this._put(STORES.POSTS, postId, this.posts[postId]);
+  }
+
+  _contentInUse(hash, exceptPostId) {
+    // Whether anything besides the given post still points at the content
+    return this._allPosts().some(post => post.id !== exceptPostId && postHashes(post).includes(hash))
+      || Object.values(this.addressIndex).some(entry => entry.hash === hash)
+      || !!this.pins[hash]
+      || Object.values(this.names)
+        .some(record => (record.versions || []).some(version => parseAddress(version.target)?.hash === hash));
+  }
+
+  async follow(did) {
+    return this._transaction('follow', async () => {
+      if (!DID_PATTERN.test(did)) throw new Error('Can only follow a did:xhe identity');
+      if (did === this.identity.did) throw new Error('Cannot follow self');
+      if (this.socialGraph.following.includes(did)) return this.socialGraph;
+      if (this.socialGraph.blocked.includes(did)) {
+        throw new Error('Cannot follow blocked identity');
+      }
 
-    await this._emitPulse(PULSE_TYPE.FOLLOW, { target: did });
+      this.socialGraph.following.push(did);
+      await this._put(STORES.META, META_KEYS.SOCIAL_GRAPH, this.socialGraph);
 
-    return this.socialGraph;
+      await this._emitPulse(PULSE_TYPE.FOLLOW, { target: did });
+
+      return this.socialGraph;
+    });
   }
 
   async unfollow(did) {
-    this.socialGraph.following = this.socialGraph.following.filter(d => d !== did);
-    saveState(STORAGE_KEYS.SOCIAL_GRAPH, this.socialGraph);
+    return this._transaction('unfollow', async () => {
+      if (!this.socialGraph.following.includes(did)) return this.socialGraph;
+      this.socialGraph.following = this.socialGraph.following.filter(d => d !== did);
+      await this._put(STORES.META, META_KEYS.SOCIAL_GRAPH, this.socialGraph);
 
-    await this._emitPulse(PULSE_TYPE.UNFOLLOW, { target: did });
+      await this._emitPulse(PULSE_TYPE.UNFOLLOW, { target: did });
 
-    return this.socialGraph;
+      return this.socialGraph;
+    });
+  }
+
+  async block(did) {
+    return this._transaction('block', async () => {
+      if (!DID_PATTERN.test(did)) throw new Error('Can only block a did:xhe identity');
+      if (did === this.identity.did) throw new Error('Cannot block self');
+      if (this.socialGraph.blocked.includes(did)) return this.socialGraph;
+
+      // Blocking severs the connection both ways
+      this.socialGraph = {
+        ...this.socialGraph,
+        following: this.socialGraph.following.filter(d => d !== did),
+        followers: this.socialGraph.followers.filter(d => d !== did),
+        blocked: [...this.socialGraph.blocked, did]
+      };
+      await this._put(STORES.META, META_KEYS.SOCIAL_GRAPH, this.socialGraph);
+
+      await this._emitPulse(PULSE_TYPE.BLOCK, { target: did });
+
+      return this.socialGraph;
+    });
+  }
+
+  async unblock(did) {
+    return this._transaction('unblock', async () => {
+      if (!this.socialGraph.blocked.includes(did)) return this.socialGraph;
+      this.socialGraph = { ...this.socialGraph, blocked: this.socialGraph.blocked.filter(d => d !== did) };
+      await this._put(STORES.META, META_KEYS.SOCIAL_GRAPH, this.socialGraph);
+
+      await this._emitPulse(PULSE_TYPE.UNBLOCK, { target: did });
+
+      return this.socialGraph;
+    });
   }
 
   getSocialGraph() {
@@ -967,6 +5350,9 @@ class XHEKernel {
       pulseCount: Object.keys(this.pulseStore).length,
       addressCount: Object.keys(this.addressIndex).length,
       contentCount: Object.keys(this.contentStore).length,
+      chunkCount: Object.keys(this.chunkStore).length,
+      nameCount: Object.keys(this.names).length,
+      pinCount: Object.keys(this.pins).length,
       slipBalance: this.getSlipBalance(),
       following: this.socialGraph.following.length,
       postCount: this.getFeed()?.posts?.length || 0,
@@ -987,62 +5373,109 @@ class XHEKernel {
       identity: this.identity,
       identityHistory: this.identityHistory,
       pulseSequence: this._pulseSequence,
+      pulseHead: this._pulseHead,
       contentStore: this.contentStore,
+      chunkStore: this.chunkStore,
       pulseStore: this.pulseStore,
       addressIndex: this.addressIndex,
+      names: this.names,
+      pins: this.pins,
       slipLedger: this.slipLedger,
+      slipNotes: this.slipNotes,
+      escrows: this.escrows,
+      subscriptions: this.subscriptions,
+      assets: this.assets,
       socialGraph: this.socialGraph,
       feeds: this.feeds,
-      channels: this.channels
+      channels: this.channels,
+      posts: this.posts
     }, null, 2);
   }
 
-  importKernelState(jsonString) {
+  async importKernelState(jsonString) {
     try {
-      const data = JSON.parse(jsonString);
+      return await this._transaction('importKernelState', async () => {
+        const data = JSON.parse(jsonString);
       
-      if (data.version !== 2) {
-        // Handle v1 migration
-        if (data.entries) {
-          // Old format - just merge address index
-          Object.assign(this.addressIndex, data.entries);
-          saveState(STORAGE_KEYS.ADDRESS_INDEX, this.addressIndex);
-          return { imported: Object.keys(data.entries).length, migrated: true };
+        if (data.version !== 2) {
+          // Handle v1 migration
+          if (data.entries) {
+            // Old format - just merge address index
+            for (const [addr, entry] of Object.entries(data.entries)) {
+              this.addressIndex[addr] = entry;
+              await this._put(STORES.ADDRESS_INDEX, addr, entry);
+            }
+            return { imported: Object.keys(data.entries).length, migrated: true };
+          }
         }
-      }
 
-      // Full state import
-      let imported = 0;
+        // Full state import
+        let imported = 0;
 
-      if (data.contentStore) {
-        Object.entries(data.contentStore).forEach(([hash, content]) => {
-          if (!this.contentStore[hash]) {
-            this.contentStore[hash] = content;
-            imported++;
+        if (data.chunkStore) {
+          for (const [hash, chunk] of Object.entries(data.chunkStore)) {
+            if (!this.chunkStore[hash]) {
+              this.chunkStore[hash] = chunk;
+              await this._put(STORES.CHUNKS, hash, chunk);
+            }
           }
-        });
-        saveState(STORAGE_KEYS.CONTENT_STORE, this.contentStore);
-      }
+        }
 
-      if (data.addressIndex) {
-        Object.entries(data.addressIndex).forEach(([addr, entry]) => {
-          if (!this.addressIndex[addr]) {
-            this.addressIndex[addr] = entry;
+        if (data.contentStore) {
+          for (const [hash, content] of Object.entries(data.contentStore)) {
+            if (!this.contentStore[hash]) {
+              this.contentStore[hash] = content;
+              await this._put(STORES.CONTENT, hash, content);
+              imported++;
+            }
           }
-        });
-        saveState(STORAGE_KEYS.ADDRESS_INDEX, this.addressIndex);
-      }
+        }
 
-      if (data.pulseStore) {
-        Object.entries(data.pulseStore).forEach(([id, pulse]) => {
-          if (!this.pulseStore[id]) {
-            this.pulseStore[id] = pulse;
+        if (data.addressIndex) {
+          for (const [addr, entry] of Object.entries(data.addressIndex)) {
+            if (!this.addressIndex[addr]) {
+              this.addressIndex[addr] = entry;
+              await this._put(STORES.ADDRESS_INDEX, addr, entry);
+            }
           }
-        });
-        saveState(STORAGE_KEYS.PULSE_STORE, this.pulseStore);
-      }
+        }
+
+        if (data.names) {
+          // A name is taken when new, or when it extends the local history,
+          // and only if the owner's signatures verify: a forged head would
+          // otherwise block the real history from ever replacing it
+          for (const [key, record] of Object.entries(data.names)) {
+            const local = this.names[key];
+            const localHead = local?.versions[local.versions.length - 1];
+            if (!Array.isArray(record?.versions)) continue;
+            if (local && (record.versions.length <= local.versions.length
+              || record.versions[local.versions.length - 1]?.hash !== localHead?.hash)) continue;
+            if (await this._verifyName(key, record)) continue;
+            this.names[key] = record;
+            await this._put(STORES.NAMES, key, record);
+          }
+        }
+
+        if (data.pins) {
+          for (const [hash, pin] of Object.entries(data.pins)) {
+            if (!this.pins[hash]) {
+              this.pins[hash] = pin;
+              await this._put(STORES.PINS, hash, pin);
+            }
+          }
+        }
+
+        if (data.pulseStore) {
+          for (const [id, pulse] of Object.entries(data.pulseStore)) {
+            if (!this.pulseStore[id]) {
+              this.pulseStore[id] = pulse;
+              await this._put(STORES.PULSES, id, pulse);
+            }
+          }
+        }
 
-      return { imported, errors: [] };
+        return { imported, errors: [] };
+      });
     } catch (e) {
       return { imported: 0, errors: [e.message] };
     }
@@ -1053,36 +5486,63 @@ class XHEKernel {
   // ============================================
 
   async resetKernel(preserveIdentity = false) {
-    // Emit reset pulse before wiping
-    await this._emitPulse(PULSE_TYPE.KERNEL_RESET, {
-      preserveIdentity,
-      timestamp: timestamp()
-    });
+    return this._transaction('resetKernel', async () => {
+      // Emit reset pulse before wiping
+      await this._emitPulse(PULSE_TYPE.KERNEL_RESET, {
+        preserveIdentity,
+        timestamp: timestamp()
+      });
 
-    // Clear all kernel state
-    Object.values(STORAGE_KEYS).forEach(key => {
-      if (preserveIdentity && (key === STORAGE_KEYS.IDENTITY || key === STORAGE_KEYS.IDENTITY_HISTORY)) {
-        return;
+      // A kept identity keeps its note chain and what the chain cites:
+      // recipients reject a chain that starts again at nonce 1
+      const keptNotes = preserveIdentity
+        ? this._slipNoteClosure(this._sentSlipNotes(this.identity.did).map(note => note.hash))
+        : {};
+
+      // Clear all kernel state
+      for (const store of Object.values(STORES)) {
+        if (preserveIdentity && store === STORES.META) {
+          for (const key of Object.values(META_KEYS)) {
+            if (key === META_KEYS.IDENTITY || key === META_KEYS.IDENTITY_HISTORY) continue;
+            await this._delete(STORES.META, key);
+          }
+          continue;
+        }
+        await this._clear(store);
       }
-      localStorage.removeItem(key);
-    });
 
-    // Reinitialize
-    this._pulseSequence = 0;
-    this.contentStore = {};
-    this.pulseStore = {};
-    this.addressIndex = {};
-    this.slipLedger = { balances: {}, transactions: [] };
-    this.socialGraph = { following: [], followers: [], blocked: [] };
-    this.feeds = {};
-    this.channels = {};
-
-    if (!preserveIdentity) {
-      this.identityHistory = [];
-      this.identity = this._createIdentity(false);
-    }
+      // Reinitialize
+      this._pulseSequence = 0;
+      this._pulseHead = null;
+      this.contentStore = {};
+      this.chunkStore = {};
+      this.pulseStore = {};
+      this.addressIndex = {};
+      this.names = {};
+      this.pins = {};
+      this.slipLedger = { balances: {}, transactions: [] };
+      this.slipPolicy = metaDefault(META_KEYS.SLIP_POLICY);
+      this.slipNotes = keptNotes;
+      for (const [hash, note] of Object.entries(keptNotes)) {
+        await this._put(STORES.SLIP_NOTES, hash, note);
+      }
+      this.escrows = {};
+      this.subscriptions = {};
+      this.assets = {};
+      this.socialGraph = { following: [], followers: [], blocked: [] };
+      this.feeds = {};
+      this.channels = {};
+      this.posts = {};
+
+      if (!preserveIdentity) {
+        this.identityHistory = [];
+        this.identity = await this._createIdentity(false);
+      } else {
+        await this._creditGenesis(this.identity);
+      }
 
-    this._emit('kernel:reset', { preserveIdentity });
+      this._emit('kernel:reset', { preserveIdentity });
+    });
   }
 
   // ============================================
@@ -1103,6 +5563,15 @@ class XHEKernel {
   }
 
   _emit(event, data) {
+    // Events raised inside a transaction are held until it commits
+    if (this._tx) {
+      this._tx.events.push([event, data]);
+      return;
+    }
+    this._dispatch(event, data);
+  }
+
+  _dispatch(event, data) {
     if (this._listeners[event]) {
       this._listeners[event].forEach(cb => {
         try {
@@ -1119,15 +5588,40 @@ class XHEKernel {
 // SINGLETON
 // ============================================
 
+// Construction starts the async boot; await `xheKernel.ready` before use
 const xheKernel = new XHEKernel();
 
 export { 
   xheKernel, 
   XHEKernel, 
   parseAddress, 
+  validateAddress,
+  serializeAddress,
+  ADDRESS_ERROR,
   URI_SCHEMES, 
   RESOLUTION_STATE, 
   PULSE_TYPE,
+  CHAIN_ERROR,
+  INTEGRITY_ISSUE,
+  LEDGER_ISSUE,
+  SLIP_ACCOUNT,
+  SUPPLY_ERROR,
+  ESCROW_STATUS,
+  ESCROW_CONDITION,
+  SUBSCRIPTION_STATUS,
+  DEFAULT_ASSET,
+  parseAssetAmount,
+  formatAssetAmount,
+  STORES,
+  LocalStorageAdapter,
+  IndexedDBAdapter,
+  MemoryStorageAdapter,
+  SIGNING_ALGORITHM,
+  verifySignature,
+  buildDIDDocument,
+  CID_CODEC,
+  encodeCid,
+  decodeCid,
   timeString 
 };
 